@@ -6,10 +6,30 @@ console.info("D3 version:", d3.version);
 
 const state = {
   data: null,
+  rootId: null,
+  rootName: "",
+  summary: null,
   nodes: [],
   edges: [],
   filteredNodes: [],
+  dataSource: null,
+  datasetWarnings: [],
+  droppedRecords: { edges: [], nodes: [] },
+  snapshot: null,
+  careerById: new Map(),
+  topicLabels: new Map(),
+  facet: null,
+  viewMode: "graph",
+  hasActiveFilter: false,
+  filterMode: "dim",
+  searchScorers: [],
+  activeSuggestionIndex: -1,
   selectedNodeId: null,
+  comparisonIds: [],
+  outlineExpanded: new Set(),
+  lineageTree: null,
+  timeline: null,
+  timelineYear: null,
 };
 
 const graphState = {
@@ -17,7 +37,12 @@ const graphState = {
   zoomLayer: null,
   nodeSelection: null,
   linkSelection: null,
-  simulation: null,
+  forceLayout: null,
+  error: null,
+  layoutNodes: [],
+  layoutVersion: 0,
+  layoutPending: false,
+  layoutCacheDb: null,
   zoom: null,
   currentTransform: d3.zoomIdentity,
   container: null,
@@ -29,6 +54,7 @@ const graphState = {
   resizeObserver: null,
   initialFocusDone: false,
   initialFocusScheduled: false,
+  initialView: null,
   parentByChild: new Map(),
   childrenByParent: new Map(),
   depthById: new Map(),
@@ -36,10 +62,65 @@ const graphState = {
   lineageEdges: new Set(),
   hoveredId: null,
   maxDescendants: 0,
+  maxDirectAdvisees: 0,
+  colorBy: "gen",
+  sizeBy: "descendants",
+  colorEncoding: null,
+  layout: "force",
+  forcePositions: new Map(),
+  collapsedIds: new Set(),
+  visibleIds: new Set(),
+  layoutParentById: new Map(),
+  keyboardAdvisorById: new Map(),
+  filterHiddenIds: new Set(),
+  rendererSetting: "auto",
+  renderer: "svg",
+  canvasObserver: null,
+  canvasFrame: null,
+  canvasStyles: new Map(),
+  canvasPaths: new Map(),
 };
 
+const mapState = {
+  assets: null,
+  gazetteer: null,
+  svg: null,
+  basemap: null,
+  arcLayer: null,
+  markerLayer: null,
+  projection: null,
+  zoom: null,
+  transform: d3.zoomIdentity,
+  size: { width: 0, height: 0 },
+  placeById: new Map(),
+  clusters: [],
+  openClusterKey: null,
+  resizeObserver: null,
+};
+
+const rosterState = {
+  sort: "relevance",
+  group: "tree",
+  openById: new Map(),
+  filteredOpenById: new Map(),
+  rows: [],
+  offsets: [0],
+  rendered: new Map(),
+  frame: null,
+};
+
+const urlState = {
+  ready: false,
+  restoring: false,
+  viewSyncTimeout: null,
+};
+
+let filterFitTimeout = null;
+
 let previewLoadTimeout = null;
 
+let timelinePlayTimeout = null;
+
 const formatNumber = (value) => new Intl.NumberFormat().format(value ?? 0);
 
 const elements = {
@@ -49,12 +130,30 @@ const elements = {
   summaryInstitutions: document.getElementById("summary-institutions"),
   summaryGenerated: document.getElementById("summary-generated"),
   searchInput: document.getElementById("search-input"),
+  searchError: document.getElementById("search-error"),
+  searchSuggestions: document.getElementById("search-suggestions"),
   depthFilter: document.getElementById("depth-filter"),
+  filterModeInputs: Array.from(document.querySelectorAll('input[name="filter-mode"]')),
+  matchCount: document.getElementById("match-count"),
   rosterList: document.getElementById("roster-list"),
+  rosterSort: document.getElementById("roster-sort"),
+  rosterGroup: document.getElementById("roster-group"),
+  graphTimeline: document.getElementById("graph-timeline"),
+  timelinePlay: document.getElementById("timeline-play"),
+  timelineRange: document.getElementById("timeline-range"),
+  timelineValue: document.getElementById("timeline-value"),
+  timelineStatus: document.getElementById("timeline-status"),
   profileCard: document.getElementById("profile-card"),
+  profilePhdYears: document.getElementById("profile-phd-years"),
+  comparisonCard: document.getElementById("comparison-card"),
+  comparisonClear: document.getElementById("comparison-clear"),
+  comparisonHint: document.getElementById("comparison-hint"),
+  comparisonStatus: document.getElementById("comparison-status"),
+  comparisonBody: document.getElementById("comparison-body"),
   profileName: document.getElementById("profile-name"),
   profileGeneration: document.getElementById("profile-generation"),
   profileAffiliation: document.getElementById("profile-affiliation"),
+  profileAdvisors: document.getElementById("profile-advisors"),
   profileDescendants: document.getElementById("profile-descendants"),
   profileAdvisees: document.getElementById("profile-advisees"),
   profileResearch: document.getElementById("profile-research"),
@@ -63,11 +162,112 @@ const elements = {
   previewFrame: document.getElementById("profile-preview-frame"),
   previewStatus: document.getElementById("profile-preview-status"),
   previewRefresh: document.getElementById("preview-refresh"),
+  profileReroot: document.getElementById("profile-reroot"),
+  rootBreadcrumb: document.getElementById("root-breadcrumb"),
+  rootBreadcrumbList: document.getElementById("root-breadcrumb-list"),
+  network: document.getElementById("network"),
+  viewMode: document.getElementById("view-mode"),
+  mapView: document.getElementById("map-view"),
+  outlineView: document.getElementById("outline-view"),
+  outlineTree: document.getElementById("outline-tree"),
+  selectionAnnouncer: document.getElementById("selection-announcer"),
+  mapStatus: document.getElementById("map-status"),
+  mapCluster: document.getElementById("map-cluster"),
+  mapClusterTitle: document.getElementById("map-cluster-title"),
+  mapClusterList: document.getElementById("map-cluster-list"),
+  mapClusterClose: document.getElementById("map-cluster-close"),
+  layoutSelect: document.getElementById("layout-select"),
+  colorBy: document.getElementById("color-by"),
+  sizeBy: document.getElementById("size-by"),
+  graphRenderer: document.getElementById("graph-renderer"),
+  graphRaster: document.querySelector("#network .graph-raster"),
+  graphError: document.getElementById("graph-error"),
+  graphLegendTitle: document.getElementById("graph-legend-title"),
+  graphLegendList: document.getElementById("graph-legend-list"),
+  graphLegendSize: document.getElementById("graph-legend-size"),
+  expandDepth: document.getElementById("expand-depth"),
+  expandAll: document.getElementById("expand-all"),
+  collapseToLineage: document.getElementById("collapse-to-lineage"),
+  exportMenu: document.getElementById("export-menu"),
+  exportForm: document.getElementById("export-form"),
+  exportFormat: document.getElementById("export-format"),
+  exportArea: document.getElementById("export-area"),
+  exportDpi: document.getElementById("export-dpi"),
+  exportLegend: document.getElementById("export-legend"),
+  exportTimestamp: document.getElementById("export-timestamp"),
+  exportStatus: document.getElementById("export-status"),
+  dataExportMenu: document.getElementById("data-export-menu"),
+  dataExportForm: document.getElementById("data-export-form"),
+  dataExportFormat: document.getElementById("data-export-format"),
+  dataExportScope: document.getElementById("data-export-scope"),
+  dataExportStatus: document.getElementById("data-export-status"),
+  heroTitle: document.getElementById("hero-title"),
+  heroSubtitle: document.getElementById("hero-subtitle"),
+  heroPortrait: document.getElementById("hero-portrait"),
+  datasetFile: document.getElementById("dataset-file"),
+  datasetStatus: document.getElementById("dataset-status"),
+  datasetStatusTitle: document.getElementById("dataset-status-title"),
+  datasetStatusList: document.getElementById("dataset-status-list"),
+  datasetReset: document.getElementById("dataset-reset"),
+  datasetDismiss: document.getElementById("dataset-dismiss"),
+  dropOverlay: document.getElementById("drop-overlay"),
+  diagnosticsCount: document.getElementById("diagnostics-count"),
+  diagnosticsList: document.getElementById("diagnostics-list"),
+  snapshotCount: document.getElementById("snapshot-count"),
+  snapshotFile: document.getElementById("snapshot-file"),
+  snapshotClear: document.getElementById("snapshot-clear"),
+  snapshotStatus: document.getElementById("snapshot-status"),
+  snapshotLegend: document.getElementById("snapshot-legend"),
+  snapshotChangelog: document.getElementById("snapshot-changelog"),
+  analyticsPanel: document.getElementById("analytics-panel"),
+  analyticsBreakdown: document.getElementById("analytics-breakdown"),
+  analyticsCharts: document.getElementById("analytics-charts"),
+  analyticsLegend: document.getElementById("analytics-legend"),
+  summaryInstitutionsLink: document.getElementById("summary-institutions-link"),
+  topicsPanel: document.getElementById("topics-panel"),
+  topicsBreakdown: document.getElementById("topics-breakdown"),
+  topicsHeatmap: document.getElementById("topics-heatmap"),
+  topicsDriftHint: document.getElementById("topics-drift-hint"),
+  topicsDriftLegend: document.getElementById("topics-drift-legend"),
+  topicsDriftPath: document.getElementById("topics-drift-path"),
+  relationPanel: document.getElementById("relation-panel"),
+  relationForm: document.getElementById("relation-form"),
+  relationA: document.getElementById("relation-a"),
+  relationB: document.getElementById("relation-b"),
+  relationSwap: document.getElementById("relation-swap"),
+  relationResult: document.getElementById("relation-result"),
+  facetChip: document.getElementById("facet-chip"),
+  facetChipLabel: document.getElementById("facet-chip-label"),
+  facetChipClear: document.getElementById("facet-chip-clear"),
 };
 
 elements.previewRefresh.disabled = true;
 
-const depthColors = ["#345CFF", "#1CB5E0", "#00B894", "#FDC830", "#F76B1C", "#d853a6"];
+// Okabe–Ito colours, which stay distinguishable under the common forms of colour blindness.
+const depthColors = ["#0072B2", "#56B4E9", "#009E73", "#E69F00", "#D55E00", "#CC79A7"];
+// Paul Tol's "muted" scheme for unordered categories such as branches and institutions.
+const CATEGORY_PALETTE = ["#332288", "#88CCEE", "#44AA99", "#117733", "#999933", "#DDCC77", "#CC6677", "#882255", "#AA4499"];
+
+const VIEW_MODES = new Set(["graph", "map", "outline"]);
+const GRAPH_LAYOUTS = {
+  force: "Force-directed",
+  tree: "Tidy tree",
+  radial: "Radial dendrogram",
+  icicle: "Icicle",
+  sunburst: "Sunburst",
+};
+const PARTITION_LAYOUTS = new Set(["icicle", "sunburst"]);
+const GRAPH_RENDERERS = {
+  auto: "Automatic",
+  svg: "SVG",
+  canvas: "Canvas",
+};
+// Above this many people the automatic renderer paints the graph onto a canvas.
+const CANVAS_NODE_THRESHOLD = 1500;
+const LAYOUT_TRANSITION_MS = 750;
+const FORCE_LAYOUT_WORKER_URL = "force-layout.js";
+const LAYOUT_CACHE_DB = "phd-tree-layouts";
+const LAYOUT_CACHE_STORE = "layouts";
 
 const computeInfluenceScore = (node) => {
   if (!node) return 0;
@@ -118,31 +318,126 @@ const radialRadius = (depth) => {
   return depth === 0 ? 0 : spacing * depth;
 };
 
+// How large a node is relative to the biggest one, on the measure picked under "Size by".
+const nodeSizeShare = (node) => {
+  if (graphState.sizeBy === "students") {
+    return normalizeValue(
+      Math.sqrt(Math.max(0, node.direct_advisee_count ?? 0)),
+      Math.sqrt(graphState.maxDirectAdvisees || 1)
+    );
+  }
+  return normalizeValue(Math.sqrt(Math.max(0, node.total_descendants ?? 0)), Math.sqrt(graphState.maxDescendants || 1));
+};
+
+const nodeRadius = (node) => {
+  let computedRadius;
+  if (graphState.sizeBy === "uniform") {
+    computedRadius = 16;
+  } else if (graphState.sizeBy === "students") {
+    computedRadius = 11 + nodeSizeShare(node) * 48;
+  } else {
+    const descendantBonus = 10 + nodeSizeShare(node) * 42;
+    const directBonus = node.direct_advisee_count
+      ? Math.min(11, Math.sqrt(node.direct_advisee_count) * 2.9)
+      : 0;
+    computedRadius = Math.max(11, descendantBonus + directBonus);
+  }
+  if (node.id === state.rootId) {
+    return computedRadius * 1.15;
+  }
+  return computedRadius;
+};
+
+// Hierarchical layouts pack nodes tightly, so circles shrink to keep siblings apart.
+const compactNodeRadius = (node) => (graphState.sizeBy === "uniform" ? 6 : 4 + nodeSizeShare(node) * 8);
+
+const layoutNodeRadius = (node) =>
+  graphState.layout === "force" ? nodeRadius(node) : compactNodeRadius(node);
+
 const getClusterTarget = (node) => {
-  const target = graphState.clusterCenters.get(node.clusterId);
-  if (target) return target;
+  // Co-advised students that straddle branches are pulled to the midpoint of their clusters.
+  const targets = (node.clusterIds || [node.clusterId])
+    .map((clusterId) => graphState.clusterCenters.get(clusterId))
+    .filter(Boolean);
+  if (targets.length) {
+    return {
+      x: d3.mean(targets, (target) => target.x),
+      y: d3.mean(targets, (target) => target.y),
+    };
+  }
   const { width, height } = graphState.size;
   return { x: width / 2, y: height / 2 };
 };
 
 const edgeKey = (sourceId, targetId) => `${sourceId}|${targetId}`;
 
-const getPreferredParent = (nodeId) => {
-  const parents = graphState.parentByChild.get(nodeId);
-  if (!parents || !parents.length) return null;
-  const depthMap = graphState.depthById;
-  const best = parents.reduce((currentBest, candidate) => {
-    if (!candidate) return currentBest;
-    if (!currentBest) return candidate;
-    const candidateDepth = depthMap.get(candidate) ?? Number.POSITIVE_INFINITY;
-    const bestDepth = depthMap.get(currentBest) ?? Number.POSITIVE_INFINITY;
-    if (candidateDepth < bestDepth) return candidate;
-    if (candidateDepth === bestDepth) {
-      return candidate < currentBest ? candidate : currentBest;
-    }
-    return currentBest;
-  }, null);
-  return best ?? parents[0];
+const getParents = (nodeId) => graphState.parentByChild.get(nodeId) || [];
+
+// Students in name order, so keyboard walks visit them predictably.
+const sortedStudentIds = (nodeId) =>
+  Array.from(new Set(graphState.childrenByParent.get(nodeId) || []))
+    .filter((studentId) => graphState.nodesById.has(studentId))
+    .sort((a, b) => graphState.nodesById.get(a).name.localeCompare(graphState.nodesById.get(b).name));
+
+// The advisor the arrow keys treat as a co-advised person's parent: the one they were reached
+// from, otherwise the one the hierarchical layouts hang them under.
+const keyboardAdvisor = (nodeId) => {
+  const advisorIds = getParents(nodeId).filter((advisorId) => graphState.nodesById.has(advisorId));
+  const remembered = graphState.keyboardAdvisorById.get(nodeId);
+  if (advisorIds.includes(remembered)) return remembered;
+  const layoutParent = graphState.layoutParentById.get(nodeId);
+  return advisorIds.includes(layoutParent) ? layoutParent : advisorIds[0] ?? null;
+};
+
+const GRAPH_ARROW_MOVES = {
+  ArrowUp: "advisor",
+  ArrowDown: "student",
+  ArrowLeft: "previous",
+  ArrowRight: "next",
+};
+
+const isGraphNodeShown = (nodeId) => isOnTimeline(nodeId) && !graphState.filterHiddenIds.has(nodeId);
+
+// People the timeline or the search filter hides are skipped: a hidden advisor hands the step on
+// to their own advisor, and hidden students drop out of the sibling order.
+const graphArrowTarget = (nodeId, move) => {
+  if (move === "advisor") {
+    let advisorId = keyboardAdvisor(nodeId);
+    while (advisorId && !isGraphNodeShown(advisorId)) advisorId = keyboardAdvisor(advisorId);
+    return advisorId;
+  }
+  const advisorId = move === "student" ? nodeId : keyboardAdvisor(nodeId);
+  const studentIds = advisorId ? sortedStudentIds(advisorId).filter(isGraphNodeShown) : [];
+  let targetId = studentIds[0] ?? null;
+  if (move !== "student") {
+    if (studentIds.length < 2) return null;
+    const step = move === "next" ? 1 : -1;
+    targetId = studentIds[(studentIds.indexOf(nodeId) + step + studentIds.length) % studentIds.length];
+  }
+  if (targetId) graphState.keyboardAdvisorById.set(targetId, advisorId);
+  return targetId;
+};
+
+const ARROW_DEAD_ENDS = {
+  advisor: "has no advisor in this lineage",
+  student: "has no PhD students listed",
+  previous: "has no other students of the same advisor",
+  next: "has no other students of the same advisor",
+};
+
+// Selects the person an arrow key leads to and moves keyboard focus onto their node. Each step
+// replaces the history entry instead of adding one.
+const moveGraphFocus = (nodeId, move) => {
+  const targetId = graphArrowTarget(nodeId, move);
+  if (!targetId) {
+    announce(`${graphState.nodesById.get(nodeId).name} ${ARROW_DEAD_ENDS[move]}.`);
+    return;
+  }
+  selectNode(targetId, { push: false });
+  graphState.nodeSelection
+    ?.filter((node) => node.id === targetId)
+    .node()
+    ?.focus();
 };
 
 const applyLineageClasses = () => {
@@ -173,18 +468,23 @@ const updateLineageHighlight = (nodeId) => {
   const lineageNodes = new Set();
   const lineageEdges = new Set();
   if (nodeId) {
-    const seen = new Set();
-    let current = nodeId;
-    while (current && !seen.has(current)) {
-      seen.add(current);
-      lineageNodes.add(current);
-      if (current === state.data.root) break;
-      const parent = getPreferredParent(current);
-      if (!parent) break;
-      lineageEdges.add(edgeKey(parent, current));
-      current = parent;
+    // Follow every advisor, not just one, so co-advised students show all lineage paths.
+    lineageNodes.add(nodeId);
+    const queue = [nodeId];
+    while (queue.length) {
+      const current = queue.shift();
+      if (current === state.rootId) continue;
+      getParents(current).forEach((parent) => {
+        // Skip advising cycles that lead back to the selected person.
+        if (parent === nodeId) return;
+        lineageEdges.add(edgeKey(parent, current));
+        if (!lineageNodes.has(parent)) {
+          lineageNodes.add(parent);
+          queue.push(parent);
+        }
+      });
     }
-    lineageNodes.add(state.data.root);
+    lineageNodes.add(state.rootId);
   }
   graphState.lineageNodes = lineageNodes;
   graphState.lineageEdges = lineageEdges;
@@ -202,11 +502,10 @@ const applyHoverHighlight = (nodeId = null) => {
   const relatedEdges = new Set();
   if (nodeId) {
     relatedNodes.add(nodeId);
-    const parent = getPreferredParent(nodeId);
-    if (parent) {
+    getParents(nodeId).forEach((parent) => {
       relatedNodes.add(parent);
       relatedEdges.add(edgeKey(parent, nodeId));
-    }
+    });
     const children = graphState.childrenByParent.get(nodeId) || [];
     children.forEach((child) => {
       relatedNodes.add(child);
@@ -236,12 +535,28 @@ const applyHoverHighlight = (nodeId = null) => {
   }
   graphState.hoveredId = nodeId;
 };
+// Only the selected person is in the tab order; arrow keys reach everyone else. While the
+// selection is hidden the root, or else the first person still shown, takes its place, so the
+// graph can still be tabbed to.
+const updateGraphTabStop = (nodeId) => {
+  if (!graphState.nodeSelection || !graphState.nodesById.has(nodeId)) return;
+  const fallbackId = isGraphNodeShown(state.rootId)
+    ? state.rootId
+    : graphState.nodeSelection.data().find((node) => isGraphNodeShown(node.id))?.id;
+  const tabStopId = isGraphNodeShown(nodeId) ? nodeId : fallbackId ?? nodeId;
+  graphState.nodeSelection.attr("tabindex", (node) => (node.id === tabStopId ? 0 : -1));
+};
+
 const highlightGraphSelection = (nodeId) => {
   if (graphState.nodeSelection) {
     graphState.nodeSelection.classed("selected", (node) => node.id === nodeId);
     const activeNode = graphState.nodeSelection.filter((node) => node.id === nodeId);
     if (!activeNode.empty()) {
+      updateGraphTabStop(nodeId);
+      // Re-inserting the element drops keyboard focus, so it is handed back.
+      const hadFocus = activeNode.node() === document.activeElement;
       activeNode.raise();
+      if (hadFocus) activeNode.node().focus({ preventScroll: true });
     }
   }
   if (graphState.linkSelection) {
@@ -270,10 +585,36 @@ const focusGraphNode = (nodeId, { scale = 1.2 } = {}) => {
   graphState.svg.transition().duration(600).call(graphState.zoom.transform, transform);
 };
 
-const getGraphBounds = () => {
+// Pans, at the current zoom, just enough to bring a keyboard-focused person away from the edges.
+const panGraphToNode = (nodeId) => {
+  if (!graphState.svg || !graphState.zoom) return;
+  const node = graphState.nodesById.get(nodeId);
+  if (!node || !Number.isFinite(node.x) || !Number.isFinite(node.y)) return;
+  const { width, height } = graphState.size;
+  const transform = graphState.currentTransform ?? d3.zoomIdentity;
+  const [x, y] = transform.apply([node.x, node.y]);
+  const margin = Math.min(width, height) * 0.15;
+  if (x >= margin && x <= width - margin && y >= margin && y <= height - margin) return;
+  applyGraphTransform(
+    d3.zoomIdentity.translate(width / 2 - node.x * transform.k, height / 2 - node.y * transform.k).scale(transform.k),
+    { duration: 350 }
+  );
+};
+
+const applyGraphTransform = (transform, { duration = 600 } = {}) => {
+  if (!graphState.svg || !graphState.zoom || !transform) return;
+  graphState.currentTransform = transform;
+  graphState.svg.transition().duration(duration).call(graphState.zoom.transform, transform);
+};
+
+const getGraphBounds = (nodeIds = null) => {
   if (!graphState.nodesById || !graphState.nodesById.size) return null;
   const nodes = Array.from(graphState.nodesById.values()).filter(
-    (node) => Number.isFinite(node.x) && Number.isFinite(node.y)
+    (node) =>
+      graphState.visibleIds.has(node.id) &&
+      (!nodeIds || nodeIds.has(node.id)) &&
+      Number.isFinite(node.x) &&
+      Number.isFinite(node.y)
   );
   if (!nodes.length) return null;
   const minX = d3.min(nodes, (node) => node.x);
@@ -286,9 +627,9 @@ const getGraphBounds = () => {
   return { minX, maxX, minY, maxY };
 };
 
-const focusGraphBounds = ({ padding = 200, maxScale = 1.05 } = {}) => {
+const focusGraphBounds = ({ padding = 200, maxScale = 1.05, minScale = 0.35, nodeIds = null } = {}) => {
   if (!graphState.svg || !graphState.zoom) return false;
-  const bounds = getGraphBounds();
+  const bounds = getGraphBounds(nodeIds);
   if (!bounds) return false;
   const { width, height } = graphState.size;
   if (!width || !height) return false;
@@ -297,7 +638,7 @@ const focusGraphBounds = ({ padding = 200, maxScale = 1.05 } = {}) => {
   const scaleX = width / (boundsWidth + padding);
   const scaleY = height / (boundsHeight + padding);
   const targetScale = Math.min(maxScale, Math.min(scaleX, scaleY));
-  const clampedScale = Math.min(2, Math.max(0.35, targetScale));
+  const clampedScale = Math.min(2, Math.max(minScale, targetScale));
   const centerX = (bounds.minX + bounds.maxX) / 2;
   const centerY = (bounds.minY + bounds.maxY) / 2;
   const transform = d3.zoomIdentity
@@ -315,16 +656,31 @@ const attemptInitialFocus = () => {
     window.requestAnimationFrame(attemptInitialFocus);
     return;
   }
-  const root = graphState.nodesById.get(state.data.root);
+  const root = graphState.nodesById.get(state.rootId);
   if (!root || !Number.isFinite(root.x) || !Number.isFinite(root.y)) {
     window.requestAnimationFrame(attemptInitialFocus);
     return;
   }
   graphState.initialFocusDone = true;
   graphState.initialFocusScheduled = false;
-  const didFitView = focusGraphBounds({ padding: 260, maxScale: 0.95 });
+  // A view restored from the URL wins over the default fit-to-bounds framing.
+  const initialView = graphState.initialView;
+  graphState.initialView = null;
+  if (initialView?.transform) {
+    applyGraphTransform(initialView.transform);
+    return;
+  }
+  if (initialView?.nodeId) {
+    focusGraphNode(initialView.nodeId, { scale: 1.35 });
+    return;
+  }
+  const didFitView = focusGraphBounds({
+    padding: 260,
+    maxScale: 0.95,
+    minScale: graphState.layout === "force" ? 0.35 : 0.08,
+  });
   if (!didFitView) {
-    focusGraphNode(state.data.root, { scale: 0.85 });
+    focusGraphNode(state.rootId, { scale: 0.85 });
   }
 };
 
@@ -335,18 +691,39 @@ const scheduleInitialFocus = () => {
 };
 
 const init = async () => {
+  const urlValues = readUrlState();
   try {
-    const response = await fetch("manning_tree_latest.json");
-    state.data = await response.json();
+    await loadDatasetFromUrl(urlValues.dataUrl || DEFAULT_DATA_URL);
   } catch (error) {
     console.error("Failed to load data", error);
     elements.summaryTotalNodes.textContent = "Error";
+    showDatasetError(error, urlValues.dataUrl || DEFAULT_DATA_URL);
+    wireEvents();
+    wireDatasetEvents();
     return;
   }
 
+  if (urlValues.compareUrl) {
+    try {
+      const { data } = validateDataset(await fetchDataset(urlValues.compareUrl));
+      state.snapshot = {
+        data,
+        url: urlValues.compareUrl,
+        label: urlValues.compareUrl,
+        diff: computeSnapshotDiff(data, state.data),
+      };
+    } catch (error) {
+      console.error("Failed to load comparison snapshot", error);
+      elements.snapshotStatus.textContent = `Could not load ${urlValues.compareUrl}: ${error.message}`;
+    }
+  }
+
+  state.rootId = resolveRootId(urlValues.rootId);
   enrichState();
   populateSummary();
   populateFilters();
+  renderTimeline();
+  renderRootBreadcrumb();
   renderRoster();
   try {
     initGraph();
@@ -354,491 +731,5076 @@ const init = async () => {
     console.error("Graph initialization failed:", error);
     showGraphError(error);
   }
+  populateRelationOptions();
+  restoreUrlState(urlValues, { initial: true });
+  renderDiagnostics();
+  renderSnapshotChangelog();
   wireEvents();
+  wireDatasetEvents();
 };
 
-const enrichState = () => {
-  state.nodes = state.data.nodes.map((node) => ({
-    ...node,
-    searchHaystack: buildSearchHaystack(node),
-    affiliationDisplay: node.affiliation_name || node.affiliation_domain || "—",
-    depthLabel: depthLabel(node.depth),
-  }));
-  state.edges = state.data.edges;
-  state.filteredNodes = [...state.nodes];
+const DEFAULT_DATA_URL = "manning_tree_latest.json";
+const DATASET_STRING_FIELDS = [
+  "homepage",
+  "gscholar",
+  "dblp",
+  "affiliation_name",
+  "affiliation_domain",
+  "affiliation_country",
+  "research_area_summary",
+];
+const DATASET_COUNT_FIELDS = ["depth", "direct_advisee_count", "total_descendants"];
+const DATASET_YEAR_FIELDS = ["start_year", "year"];
+const DATASET_LINK_FIELDS = ["homepage", "gscholar", "dblp"];
+const MAX_REPORTED_ISSUES = 12;
+
+// Profile links end up in hrefs and the preview iframe, so only web addresses are kept.
+const safeWebUrl = (value) => {
+  if (typeof value !== "string") return null;
+  try {
+    const { protocol } = new URL(value.trim());
+    return protocol === "http:" || protocol === "https:" ? value.trim() : null;
+  } catch {
+    return null;
+  }
 };
 
-const buildSearchHaystack = (node) => {
-  const parts = [
-    node.name,
-    node.affiliation_name,
-    node.affiliation_domain,
-    node.research_area_summary,
-    ...(node.expertise_keywords || []),
-  ]
-    .filter(Boolean)
-    .join(" ")
-    .toLowerCase();
-  return parts;
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const parseDatasetJson = (text, label) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${label} is not valid JSON (${error.message}).`);
+  }
 };
 
-const depthLabel = (depth) => {
-  if (depth === 0) return "Generation 0 (Chris Manning)";
-  if (depth === 1) return "Generation 1 (Direct PhD student)";
-  return `Generation ${depth}`;
+const fetchDataset = async (url) => {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`Could not reach ${url} (${error.message}).`);
+  }
+  if (!response.ok) {
+    const status = [response.status, response.statusText].filter(Boolean).join(" ");
+    throw new Error(`Loading ${url} failed with HTTP ${status}.`);
+  }
+  return parseDatasetJson(await response.text(), url);
 };
 
-const populateSummary = () => {
-  const {
-    summary: { total_nodes, direct_advisees, max_depth, depth_counts, generated_from },
-    nodes,
-  } = state.data;
+const datasetSchemaError = (issues) => {
+  const reported = issues.slice(0, MAX_REPORTED_ISSUES);
+  if (issues.length > reported.length) {
+    reported.push(`…and ${formatNumber(issues.length - reported.length)} more problems.`);
+  }
+  const error = new Error("The dataset does not match the lineage schema.");
+  error.issues = reported;
+  return error;
+};
 
-  elements.summaryTotalNodes.textContent = formatNumber(total_nodes);
-  elements.summaryDirectAdvisees.textContent = formatNumber(direct_advisees);
-  elements.summaryDepth.textContent = formatNumber(max_depth + 1);
+// Lineage dataset schema, the shape written by the OpenReview export:
+//   root          id of the lineage root; when absent, the only person without an advisor
+//   nodes[]       people: `id` and `name` are required strings and ids must be unique.
+//                 Optional: homepage, gscholar, dblp, affiliation_name, affiliation_domain,
+//                 affiliation_country and research_area_summary (strings or null),
+//                 affiliation {name, domain, country, stateProvince, city, department},
+//                 expertise_keywords (array of strings), depth, direct_advisee_count,
+//                 total_descendants (non-negative integers, derived from edges when absent),
+//                 and start_year, year (integers or null) for when their own PhD started and
+//                 finished, which override the years on their advisor links.
+//   edges[]       {from, to} advisor → student id pairs, optionally with start_year and year
+//                 (integers or null): when that PhD started and when the student graduated
+//   summary       optional {total_nodes, total_edges, max_depth, depth_counts, direct_advisees,
+//                 generated_from}; missing fields are derived
+//   generated_at  optional ISO timestamp of the export
+//   layout        optional saved force layout {root, width, height, positions: {id: [x, y]}},
+//                 drawn as is whenever the graph is rooted at `root`
+// Structural problems throw an Error whose `issues` lists every offending entry. Links to
+// unknown ids and people outside the root's lineage are dropped and reported as warnings.
+const validateDataset = (raw) => {
+  if (!isPlainObject(raw)) {
+    throw datasetSchemaError(["The file must contain a JSON object with root, nodes and edges."]);
+  }
+  const issues = [];
+  if (!Array.isArray(raw.nodes) || raw.nodes.length === 0) {
+    issues.push('"nodes" must be a non-empty array of people.');
+  }
+  if (!Array.isArray(raw.edges)) {
+    issues.push('"edges" must be an array of {"from", "to"} advisor links.');
+  }
+  if (issues.length) throw datasetSchemaError(issues);
 
-  const uniqueInstitutions = new Set(
-    nodes
-      .map((n) => n.affiliation_name || n.affiliation_domain)
-      .filter(Boolean)
-  );
-  elements.summaryInstitutions.textContent = uniqueInstitutions.size
-    ? formatNumber(uniqueInstitutions.size)
-    : "–";
+  if (raw.root !== undefined && raw.root !== null && typeof raw.root !== "string") {
+    issues.push('"root" must be the id of a person.');
+  }
+  if (raw.summary !== undefined && raw.summary !== null && !isPlainObject(raw.summary)) {
+    issues.push('"summary" must be an object when present.');
+  }
+  if (raw.generated_at !== undefined && raw.generated_at !== null && typeof raw.generated_at !== "string") {
+    issues.push('"generated_at" must be a timestamp string when present.');
+  }
+  if (raw.layout !== undefined && raw.layout !== null && !(isPlainObject(raw.layout) && isPlainObject(raw.layout.positions))) {
+    issues.push('"layout" must be an object with "positions" when present.');
+  }
 
-  const generatedStamp =
-    state.data.generated_at ||
-    new Date().toLocaleDateString(undefined, {
-      year: "numeric",
-      month: "short",
-      day: "numeric",
+  const ids = new Set();
+  raw.nodes.forEach((node, index) => {
+    const where = `nodes[${index}]`;
+    if (!isPlainObject(node)) {
+      issues.push(`${where} must be an object.`);
+      return;
+    }
+    const label = typeof node.id === "string" && node.id ? `${where} (${node.id})` : where;
+    if (typeof node.id !== "string" || !node.id.trim()) {
+      issues.push(`${where} needs a string "id".`);
+    } else if (ids.has(node.id)) {
+      issues.push(`${label} reuses an id that appears earlier.`);
+    } else {
+      ids.add(node.id);
+    }
+    if (typeof node.name !== "string" || !node.name.trim()) {
+      issues.push(`${label} needs a string "name".`);
+    }
+    DATASET_STRING_FIELDS.forEach((field) => {
+      if (node[field] !== undefined && node[field] !== null && typeof node[field] !== "string") {
+        issues.push(`${label} "${field}" must be a string or null.`);
+      }
     });
-  elements.summaryGenerated.textContent = `${generated_from ?? "OpenReview"}, ${generatedStamp}`;
+    DATASET_COUNT_FIELDS.forEach((field) => {
+      const value = node[field];
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+        issues.push(`${label} "${field}" must be a non-negative integer.`);
+      }
+    });
+    DATASET_YEAR_FIELDS.forEach((field) => {
+      if (node[field] !== undefined && node[field] !== null && !Number.isInteger(node[field])) {
+        issues.push(`${label} "${field}" must be a year (an integer) or null.`);
+      }
+    });
+    if (node.affiliation !== undefined && node.affiliation !== null && !isPlainObject(node.affiliation)) {
+      issues.push(`${label} "affiliation" must be an object or null.`);
+    }
+    const keywords = node.expertise_keywords;
+    if (
+      keywords !== undefined &&
+      keywords !== null &&
+      !(Array.isArray(keywords) && keywords.every((keyword) => typeof keyword === "string"))
+    ) {
+      issues.push(`${label} "expertise_keywords" must be an array of strings.`);
+    }
+  });
+  raw.edges.forEach((edge, index) => {
+    if (!isPlainObject(edge) || typeof edge.from !== "string" || typeof edge.to !== "string") {
+      issues.push(`edges[${index}] must look like {"from": "<advisor id>", "to": "<student id>"}.`);
+      return;
+    }
+    DATASET_YEAR_FIELDS.forEach((field) => {
+      if (edge[field] !== undefined && edge[field] !== null && !Number.isInteger(edge[field])) {
+        issues.push(`edges[${index}] "${field}" must be a year (an integer) or null.`);
+      }
+    });
+  });
+  if (issues.length) throw datasetSchemaError(issues);
 
-  // optional: show tooltip with depth counts
-  elements.summaryDepth.title = Object.entries(depth_counts)
-    .map(([depth, count]) => `Generation ${depth}: ${formatNumber(count)} people`)
-    .join("\n");
-};
+  const warnings = [];
+  const knownEdges = raw.edges.filter((edge) => ids.has(edge.from) && ids.has(edge.to));
+  const unknownLinks = raw.edges.length - knownEdges.length;
+  if (unknownLinks) {
+    warnings.push(
+      unknownLinks === 1
+        ? "1 advisor link points to an unknown id and was ignored."
+        : `${formatNumber(unknownLinks)} advisor links point to unknown ids and were ignored.`
+    );
+  }
 
-const populateFilters = () => {
-  const depths = Array.from(new Set(state.nodes.map((node) => node.depth))).sort((a, b) => a - b);
-  depths.forEach((depth) => {
-    const option = document.createElement("option");
-    option.value = String(depth);
-    option.textContent = depthLabel(depth);
-    elements.depthFilter.appendChild(option);
+  let root = raw.root;
+  if (root && !ids.has(root)) {
+    throw datasetSchemaError([`"root" is "${root}", but no person has that id.`]);
+  }
+  if (!root) {
+    const students = new Set(knownEdges.map((edge) => edge.to));
+    const candidates = raw.nodes.filter((node) => !students.has(node.id));
+    if (candidates.length !== 1) {
+      throw datasetSchemaError([
+        candidates.length
+          ? `"root" is missing and ${formatNumber(candidates.length)} people have no advisor; add "root" to choose one.`
+          : '"root" is missing and every person has an advisor, so the root cannot be inferred.',
+      ]);
+    }
+    root = candidates[0].id;
+    warnings.push(`No "root" was given; using ${candidates[0].name}, the only person without an advisor.`);
+  }
+
+  const lineage = computeLineageMetrics(raw.nodes, knownEdges, root);
+  const derivedById = new Map(lineage.nodes.map((node) => [node.id, node]));
+  const outsideLineage = raw.nodes.length - derivedById.size;
+  if (outsideLineage) {
+    warnings.push(
+      outsideLineage === 1
+        ? "1 person is not a descendant of the root and was left out."
+        : `${formatNumber(outsideLineage)} people are not descendants of the root and were left out.`
+    );
+  }
+  const dropped = {
+    edges: raw.edges.filter((edge) => !ids.has(edge.from) || !ids.has(edge.to)),
+    nodes: raw.nodes.filter((node) => !derivedById.has(node.id)),
+  };
+  let unsafeLinks = 0;
+  const nodes = raw.nodes
+    .filter((node) => derivedById.has(node.id))
+    .map((node) => {
+      const derived = derivedById.get(node.id);
+      const links = {};
+      DATASET_LINK_FIELDS.forEach((field) => {
+        links[field] = safeWebUrl(node[field]);
+        if (node[field] && !links[field]) unsafeLinks += 1;
+      });
+      return {
+        ...node,
+        ...links,
+        affiliation_name: node.affiliation_name ?? node.affiliation?.name ?? null,
+        affiliation_domain: node.affiliation_domain ?? node.affiliation?.domain ?? null,
+        affiliation_country: node.affiliation_country ?? node.affiliation?.country ?? null,
+        expertise_keywords: node.expertise_keywords ?? [],
+        depth: node.depth ?? derived.depth,
+        direct_advisee_count: node.direct_advisee_count ?? derived.direct_advisee_count,
+        total_descendants: node.total_descendants ?? derived.total_descendants,
+      };
+    });
+  if (unsafeLinks) {
+    warnings.push(
+      unsafeLinks === 1
+        ? "1 profile link is not an http(s) address and was ignored."
+        : `${formatNumber(unsafeLinks)} profile links are not http(s) addresses and were ignored.`
+    );
+  }
+  const edges = knownEdges.filter((edge) => derivedById.has(edge.from) && derivedById.has(edge.to));
+
+  const stored = raw.summary ?? {};
+  const derivedSummary = deriveSummary(nodes, edges, root);
+  const summary = { ...derivedSummary, generated_from: stored.generated_from ?? null };
+  ["total_nodes", "total_edges", "max_depth", "direct_advisees"].forEach((field) => {
+    if (Number.isInteger(stored[field])) summary[field] = stored[field];
   });
-};
+  if (isPlainObject(stored.depth_counts)) summary.depth_counts = stored.depth_counts;
 
-const wireEvents = () => {
-  elements.searchInput.addEventListener("input", handleFiltersChanged);
-  elements.depthFilter.addEventListener("change", handleFiltersChanged);
-  elements.previewRefresh.addEventListener("click", handlePreviewRefresh);
-  elements.previewFrame.addEventListener("load", handlePreviewLoad);
-  elements.previewFrame.addEventListener("error", handlePreviewError);
+  return {
+    data: { ...raw, root, nodes, edges, summary, generated_at: raw.generated_at ?? null },
+    warnings,
+    dropped,
+  };
 };
 
-const handleFiltersChanged = () => {
-  const searchTerm = elements.searchInput.value.trim().toLowerCase();
-  const depthValue = elements.depthFilter.value;
+const loadDatasetFromUrl = async (url) => {
+  const raw = await fetchDataset(url);
+  const { data, warnings, dropped } = validateDataset(raw);
+  state.data = data;
+  state.dataSource = { kind: url === DEFAULT_DATA_URL ? "default" : "url", url, label: url };
+  state.datasetWarnings = warnings;
+  state.droppedRecords = dropped;
+  renderDatasetStatus();
+};
 
-  state.filteredNodes = state.nodes.filter((node) => {
-    const matchesSearch = searchTerm
-      ? node.searchHaystack.includes(searchTerm)
-      : true;
-    const matchesDepth = depthValue === "all" ? true : String(node.depth) === depthValue;
-    return matchesSearch && matchesDepth;
-  });
+// Swaps in a dataset after start-up, resetting the view to its root.
+const replaceDataset = ({ data, warnings, dropped }, source, { pushHistory = true } = {}) => {
+  state.data = data;
+  state.dataSource = source;
+  state.datasetWarnings = warnings;
+  state.droppedRecords = dropped;
+  if (state.snapshot) {
+    state.snapshot.diff = computeSnapshotDiff(state.snapshot.data, data);
+  }
+  state.rootId = data.root;
+  state.selectedNodeId = null;
+  urlState.restoring = true;
+  try {
+    elements.searchInput.value = "";
+    elements.depthFilter.value = "all";
+    state.facet = null;
+    rebuildLineageView();
+    graphState.initialView = null;
+    selectNode(state.rootId);
+  } finally {
+    urlState.restoring = false;
+  }
+  renderDatasetStatus();
+  renderDiagnostics();
+  renderSnapshotChangelog();
+  if (pushHistory) {
+    urlState.ready = true;
+    syncUrlState({ push: true });
+  }
+};
 
-  renderRoster();
+const loadDatasetFile = async (file) => {
+  if (!file) return;
+  try {
+    const raw = parseDatasetJson(await file.text(), file.name);
+    replaceDataset(validateDataset(raw), { kind: "file", url: null, label: file.name });
+  } catch (error) {
+    console.error("Failed to load dataset file", error);
+    showDatasetError(error, file.name);
+  }
 };
 
-const renderRoster = () => {
-  elements.rosterList.innerHTML = "";
-  if (!state.filteredNodes.length) {
-    const empty = document.createElement("li");
-    empty.textContent = "No people match your filters yet.";
-    empty.classList.add("empty");
-    elements.rosterList.appendChild(empty);
-    return;
+const switchDatasetUrl = async (url, { pushHistory = true } = {}) => {
+  try {
+    const raw = await fetchDataset(url);
+    replaceDataset(
+      validateDataset(raw),
+      { kind: url === DEFAULT_DATA_URL ? "default" : "url", url, label: url },
+      { pushHistory }
+    );
+  } catch (error) {
+    console.error("Failed to load dataset", error);
+    showDatasetError(error, url);
   }
+};
 
-  const fragment = document.createDocumentFragment();
-  state.filteredNodes.forEach((node) => {
+const updateDatasetHeading = () => {
+  const isDefault = state.dataSource?.kind === "default";
+  const datasetRootName = state.data?.nodes.find((node) => node.id === state.data.root)?.name;
+  elements.heroPortrait.hidden = !isDefault;
+  elements.heroSubtitle.hidden = !isDefault;
+  const title = isDefault || !datasetRootName ? elements.heroTitle.dataset.defaultTitle : `${datasetRootName} PhD Tree`;
+  elements.heroTitle.textContent = title;
+  document.title = title;
+};
+
+const renderDatasetStatus = ({ error = null, label = null } = {}) => {
+  const status = elements.datasetStatus;
+  const warnings = state.datasetWarnings ?? [];
+  const source = state.dataSource;
+  const showSource = source && source.kind !== "default";
+  status.hidden = !error && !warnings.length && !showSource;
+  status.classList.toggle("is-error", Boolean(error));
+  elements.datasetStatusTitle.textContent = error
+    ? `Could not load ${label ?? "the dataset"}: ${error.message}`
+    : showSource
+      ? `Showing dataset: ${source.label}`
+      : "The dataset loaded with warnings.";
+  const messages = error ? (error.issues ?? []) : warnings;
+  elements.datasetStatusList.innerHTML = "";
+  messages.forEach((message) => {
     const li = document.createElement("li");
-    li.dataset.id = node.id;
-    li.innerHTML = `
-      <div class="name">${node.name}</div>
-      <div class="meta">
-        ${node.affiliationDisplay} • Direct PhD students: ${formatNumber(
-          node.direct_advisee_count
-        )} • Gen ${node.depth}
-      </div>
-    `;
-    li.addEventListener("click", () => selectNode(node.id, { focus: true }));
-    li.addEventListener("dblclick", () => openProfileLink(node));
-    fragment.appendChild(li);
+    li.textContent = message;
+    elements.datasetStatusList.appendChild(li);
   });
+  elements.datasetStatusList.hidden = !messages.length;
+  elements.datasetReset.hidden = source?.kind === "default";
+  updateDatasetHeading();
+};
 
-  elements.rosterList.appendChild(fragment);
-  highlightRosterSelection();
+const showDatasetError = (error, label) => {
+  renderDatasetStatus({ error, label });
 };
 
-const initGraph = () => {
-  console.time("initGraph");
-  const container = document.getElementById("network");
-  if (!container) return;
+const handleDatasetFileChange = (event) => {
+  loadDatasetFile(event.target.files?.[0]);
+  event.target.value = "";
+};
 
-  const svg = d3.select(container).select("svg.graph-canvas");
-  if (!svg.node()) return;
+const isFileDrag = (event) => Array.from(event.dataTransfer?.types ?? []).includes("Files");
 
-  svg.selectAll("*").remove();
-  if (graphState.resizeObserver) {
-    graphState.resizeObserver.disconnect();
-    graphState.resizeObserver = null;
-  }
+const handleDatasetDragOver = (event) => {
+  if (!isFileDrag(event)) return;
+  event.preventDefault();
+  event.dataTransfer.dropEffect = "copy";
+  elements.dropOverlay.hidden = false;
+};
 
-  graphState.container = container;
-  graphState.svg = svg;
-  graphState.initialFocusDone = false;
-  graphState.initialFocusScheduled = false;
-  graphState.lineageNodes = new Set();
-  graphState.lineageEdges = new Set();
-  graphState.hoveredId = null;
+const handleDatasetDragLeave = (event) => {
+  // relatedTarget is null only when the pointer leaves the window.
+  if (!event.relatedTarget) {
+    elements.dropOverlay.hidden = true;
+  }
+};
 
-  const zoomLayer = svg.append("g").attr("class", "graph-viewport");
-  const linkGroup = zoomLayer.append("g").attr("class", "graph-links");
-  const nodeGroup = zoomLayer.append("g").attr("class", "graph-nodes");
-  graphState.zoomLayer = zoomLayer;
+const handleDatasetDrop = (event) => {
+  if (!isFileDrag(event)) return;
+  event.preventDefault();
+  elements.dropOverlay.hidden = true;
+  loadDatasetFile(event.dataTransfer.files?.[0]);
+};
 
-  const rect = container.getBoundingClientRect();
-  const width = rect.width || container.clientWidth || 960;
-  const height = rect.height || container.clientHeight || 720;
-  graphState.size = { width, height };
+const wireDatasetEvents = () => {
+  elements.datasetFile.addEventListener("change", handleDatasetFileChange);
+  elements.snapshotFile.addEventListener("change", handleSnapshotFileChange);
+  elements.snapshotClear.addEventListener("click", () => setSnapshot(null));
+  elements.datasetReset.addEventListener("click", () => switchDatasetUrl(DEFAULT_DATA_URL));
+  elements.datasetDismiss.addEventListener("click", () => {
+    elements.datasetStatus.hidden = true;
+  });
+  window.addEventListener("dragover", handleDatasetDragOver);
+  window.addEventListener("dragleave", handleDatasetDragLeave);
+  window.addEventListener("drop", handleDatasetDrop);
+};
 
-  svg.attr("viewBox", `0 0 ${width} ${height}`).attr("preserveAspectRatio", "xMidYMid meet");
+const DIAGNOSTIC_GROUPS = [
+  { kind: "edges", title: "Advisor links" },
+  { kind: "cycles", title: "Advising cycles" },
+  { kind: "depth", title: "Generation numbers" },
+  { kind: "counts", title: "Advisee and descendant counts" },
+  { kind: "summary", title: "Summary totals" },
+  { kind: "duplicates", title: "Possible duplicate people" },
+];
 
-  const rootId = state.data.root;
-  const depthById = new Map(state.nodes.map((node) => [node.id, node.depth ?? 0]));
+// Strongly connected components with more than one member (or a self-link) are cycles.
+const findAdvisingCycles = (nodeIds, edges) => {
+  const childrenByParent = d3.group(edges, (edge) => edge.from);
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
 
-  const parentByChild = new Map();
-  const childrenByParent = new Map();
-  state.edges.forEach((edge) => {
-    if (!parentByChild.has(edge.to)) {
-      parentByChild.set(edge.to, []);
+  nodeIds.forEach((startId) => {
+    if (index.has(startId)) return;
+    // Iterative Tarjan: each frame remembers which child edge to visit next.
+    const frames = [{ id: startId, next: 0 }];
+    index.set(startId, counter);
+    lowLink.set(startId, counter);
+    counter += 1;
+    stack.push(startId);
+    onStack.add(startId);
+    while (frames.length) {
+      const frame = frames[frames.length - 1];
+      const children = childrenByParent.get(frame.id) || [];
+      if (frame.next < children.length) {
+        const childId = children[frame.next].to;
+        frame.next += 1;
+        if (!index.has(childId)) {
+          index.set(childId, counter);
+          lowLink.set(childId, counter);
+          counter += 1;
+          stack.push(childId);
+          onStack.add(childId);
+          frames.push({ id: childId, next: 0 });
+        } else if (onStack.has(childId)) {
+          lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(childId)));
+        }
+        continue;
+      }
+      frames.pop();
+      if (frames.length) {
+        const parent = frames[frames.length - 1];
+        lowLink.set(parent.id, Math.min(lowLink.get(parent.id), lowLink.get(frame.id)));
+      }
+      if (lowLink.get(frame.id) !== index.get(frame.id)) continue;
+      const component = [];
+      let memberId;
+      do {
+        memberId = stack.pop();
+        onStack.delete(memberId);
+        component.push(memberId);
+      } while (memberId !== frame.id);
+      const selfLinked = children.some((edge) => edge.to === frame.id);
+      if (component.length > 1 || selfLinked) {
+        cycles.push(component.reverse());
+      }
     }
-    parentByChild.get(edge.to).push(edge.from);
-    if (!childrenByParent.has(edge.from)) {
-      childrenByParent.set(edge.from, []);
+  });
+  return cycles;
+};
+
+// First and last name tokens, so "Anna Goldie" and "Anna Darling Goldie" collide.
+const personNameKey = (name) => {
+  const tokens = tokenizeSearchText(normalizeSearchText(name));
+  return tokens.length > 1 ? `${tokens[0]} ${tokens[tokens.length - 1]}` : tokens[0] ?? "";
+};
+
+const normalizeProfileUrl = (url) =>
+  String(url)
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\/(www\.)?/, "")
+    .replace(/\/+$/, "");
+
+// Consistency checks over the loaded dataset. Each finding names the people involved so
+// the panel can link to them.
+const computeDiagnostics = () => {
+  const { nodes, edges, root, summary } = state.data;
+  const findings = [];
+  const add = (kind, message, nodeIds = []) => findings.push({ kind, message, nodeIds });
+  const nameById = new Map(nodes.map((node) => [node.id, node.name]));
+  const describe = (id) => nameById.get(id) ?? id;
+
+  state.droppedRecords.edges.forEach((edge) => {
+    const unknown = [edge.from, edge.to].filter((id) => !nameById.has(id));
+    add(
+      "edges",
+      `Link ${edge.from} → ${edge.to} references unknown ${unknown.length > 1 ? "ids" : "id"} ${unknown.join(" and ")}.`,
+      [edge.from, edge.to].filter((id) => nameById.has(id))
+    );
+  });
+  const seenEdges = new Set();
+  edges.forEach((edge) => {
+    const key = `${edge.from}\u0000${edge.to}`;
+    if (edge.from === edge.to) {
+      add("edges", `${describe(edge.from)} is listed as their own advisor.`, [edge.from]);
+    } else if (seenEdges.has(key)) {
+      add("edges", `The link ${describe(edge.from)} → ${describe(edge.to)} appears more than once.`, [
+        edge.from,
+        edge.to,
+      ]);
     }
-    childrenByParent.get(edge.from).push(edge.to);
+    seenEdges.add(key);
   });
+  const disconnected = state.droppedRecords.nodes.map((node) => node.name || node.id);
+  if (disconnected.length) {
+    add(
+      "edges",
+      `${disconnected.length === 1 ? "1 person in the file is" : `${formatNumber(disconnected.length)} people in the file are`} not connected to the root: ${disconnected.join(", ")}.`
+    );
+  }
 
-  const clusterCache = new Map([[rootId, rootId]]);
-  const getClusterId = (nodeId) => {
-    if (clusterCache.has(nodeId)) {
-      return clusterCache.get(nodeId);
+  findAdvisingCycles(
+    nodes.map((node) => node.id),
+    edges.filter((edge) => edge.from !== edge.to)
+  ).forEach((cycle) => {
+    add("cycles", `${[...cycle, cycle[0]].map(describe).join(" → ")} advise each other in a loop.`, cycle);
+  });
+
+  const measured = computeLineageMetrics(nodes, edges, root);
+  const measuredById = new Map(measured.nodes.map((node) => [node.id, node]));
+  nodes.forEach((node) => {
+    const actual = measuredById.get(node.id);
+    if (!actual) return;
+    if (node.depth !== actual.depth) {
+      add(
+        "depth",
+        `${node.name} is stored as generation ${node.depth}, but the shortest advisor chain from the root gives ${actual.depth}.`,
+        [node.id]
+      );
     }
-    if (nodeId === rootId) {
-      clusterCache.set(nodeId, rootId);
-      return rootId;
+    if (node.direct_advisee_count !== actual.direct_advisee_count) {
+      add(
+        "counts",
+        `${node.name} lists ${formatNumber(node.direct_advisee_count)} direct advisees; the links give ${formatNumber(actual.direct_advisee_count)}.`,
+        [node.id]
+      );
+    }
+    if (node.total_descendants !== actual.total_descendants) {
+      add(
+        "counts",
+        `${node.name} lists ${formatNumber(node.total_descendants)} descendants; the links reach ${formatNumber(actual.total_descendants)} distinct people.`,
+        [node.id]
+      );
     }
+  });
 
-    const visited = new Set([nodeId]);
-    let current = nodeId;
-    let clusterCandidate = rootId;
+  const actualSummary = deriveSummary(measured.nodes, measured.edges, root);
+  [
+    ["total_nodes", "people", nodes.length],
+    ["total_edges", "advisor links", edges.length],
+    ["direct_advisees", "direct advisees of the root", actualSummary.direct_advisees],
+    ["max_depth", "deepest generation", actualSummary.max_depth],
+  ].forEach(([field, label, actual]) => {
+    if (summary[field] !== actual) {
+      add("summary", `summary.${field} is ${formatNumber(summary[field])}, but the data has ${formatNumber(actual)} ${label}.`);
+    }
+  });
+  const depthKeys = new Set([...Object.keys(summary.depth_counts ?? {}), ...Object.keys(actualSummary.depth_counts)]);
+  Array.from(depthKeys)
+    .sort((a, b) => Number(a) - Number(b))
+    .forEach((depth) => {
+      const stored = summary.depth_counts?.[depth] ?? 0;
+      const actual = actualSummary.depth_counts[depth] ?? 0;
+      if (stored !== actual) {
+        add(
+          "summary",
+          `summary.depth_counts lists ${formatNumber(stored)} people in generation ${depth}; the data has ${formatNumber(actual)}.`
+        );
+      }
+    });
 
-    while (true) {
-      const parents = parentByChild.get(current);
-      if (!parents || !parents.length) {
-        clusterCandidate = rootId;
-        break;
+  const groupBy = (keyOf) => {
+    const groups = new Map();
+    nodes.forEach((node) => {
+      const key = keyOf(node);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(node);
+    });
+    return Array.from(groups.values()).filter((group) => group.length > 1);
+  };
+  const reported = new Set();
+  const reportGroup = (group, reason) => {
+    const key = group
+      .map((node) => node.id)
+      .sort()
+      .join("|");
+    if (reported.has(key)) return;
+    reported.add(key);
+    add(
+      "duplicates",
+      `${group.map((node) => `${node.name} (${node.id})`).join(" and ")} ${reason}.`,
+      group.map((node) => node.id)
+    );
+  };
+  ["homepage", "gscholar", "dblp"].forEach((field) => {
+    groupBy((node) => (node[field] ? normalizeProfileUrl(node[field]) : null)).forEach((group) =>
+      reportGroup(group, `share the same ${field} link`)
+    );
+  });
+  groupBy((node) => personNameKey(node.name)).forEach((group) => reportGroup(group, "have matching names"));
+
+  return findings;
+};
+
+// Selects a person from anywhere in the dataset, returning to the full lineage if needed.
+const revealDatasetNode = (nodeId) => {
+  if (!graphState.nodesById.has(nodeId)) {
+    rerootGraph(state.data.root);
+  }
+  selectNode(nodeId, { focus: true });
+};
+
+const renderDiagnostics = () => {
+  const findings = state.data ? computeDiagnostics() : [];
+  const nameById = new Map((state.data?.nodes ?? []).map((node) => [node.id, node.name]));
+  elements.diagnosticsCount.textContent = findings.length
+    ? `${formatNumber(findings.length)} ${findings.length === 1 ? "finding" : "findings"}`
+    : "No problems found";
+  elements.diagnosticsCount.classList.toggle("is-clean", !findings.length);
+  elements.diagnosticsList.innerHTML = "";
+
+  const fragment = document.createDocumentFragment();
+  DIAGNOSTIC_GROUPS.forEach(({ kind, title }) => {
+    const group = findings.filter((finding) => finding.kind === kind);
+    if (!group.length) return;
+    const section = document.createElement("section");
+    section.className = "finding-group";
+    const heading = document.createElement("h3");
+    heading.textContent = `${title} (${formatNumber(group.length)})`;
+    const list = document.createElement("ul");
+    group.forEach((finding) => {
+      const li = document.createElement("li");
+      const message = document.createElement("p");
+      message.textContent = finding.message;
+      li.appendChild(message);
+      if (finding.nodeIds.length) {
+        const links = document.createElement("div");
+        links.className = "finding-links";
+        finding.nodeIds.forEach((nodeId) => {
+          const button = document.createElement("button");
+          button.type = "button";
+          button.className = "link-button";
+          button.textContent = nameById.get(nodeId) ?? nodeId;
+          button.addEventListener("click", () => revealDatasetNode(nodeId));
+          links.appendChild(button);
+        });
+        li.appendChild(links);
       }
+      list.appendChild(li);
+    });
+    section.append(heading, list);
+    fragment.appendChild(section);
+  });
+  elements.diagnosticsList.appendChild(fragment);
+};
 
-      const currentDepth = depthById.get(current) ?? Number.POSITIVE_INFINITY;
-      let nextParent =
-        parents.find((parent) => (depthById.get(parent) ?? Number.POSITIVE_INFINITY) < currentDepth) ??
-        parents[0];
+const snapshotEdgeKey = (edge) => `${edge.from}\u0000${edge.to}`;
 
-      if (!nextParent || visited.has(nextParent)) {
-        clusterCandidate = rootId;
-        break;
+const formatSnapshotStamp = (data) => {
+  const date = new Date(data?.generated_at ?? "");
+  return Number.isNaN(date.getTime())
+    ? "an undated snapshot"
+    : date.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+};
+
+const describeNodeChanges = (before, after) => {
+  const changes = [];
+  if (before.name !== after.name) {
+    changes.push(`Renamed from ${before.name}`);
+  }
+  const beforeAffiliation = before.affiliation_name || before.affiliation_domain;
+  const afterAffiliation = after.affiliation_name || after.affiliation_domain;
+  if (beforeAffiliation !== afterAffiliation) {
+    if (beforeAffiliation && afterAffiliation) changes.push(`Moved from ${beforeAffiliation} to ${afterAffiliation}`);
+    else if (afterAffiliation) changes.push(`Affiliation added: ${afterAffiliation}`);
+    else changes.push(`Affiliation removed (was ${beforeAffiliation})`);
+  }
+  const keywordSet = (node) => new Set((node.expertise_keywords || []).map((keyword) => keyword.toLowerCase()));
+  const beforeKeywords = keywordSet(before);
+  const afterKeywords = keywordSet(after);
+  const newKeywords = (after.expertise_keywords || []).filter((keyword) => !beforeKeywords.has(keyword.toLowerCase()));
+  const droppedKeywords = (before.expertise_keywords || []).filter(
+    (keyword) => !afterKeywords.has(keyword.toLowerCase())
+  );
+  if (newKeywords.length) changes.push(`New keywords: ${newKeywords.join(", ")}`);
+  if (droppedKeywords.length) changes.push(`Dropped keywords: ${droppedKeywords.join(", ")}`);
+  [
+    ["depth", "Generation"],
+    ["direct_advisee_count", "Direct PhD students"],
+    ["total_descendants", "Descendants"],
+  ].forEach(([field, label]) => {
+    if (before[field] !== after[field]) {
+      changes.push(`${label}: ${formatNumber(before[field])} → ${formatNumber(after[field])}`);
+    }
+  });
+  return changes;
+};
+
+// Compares an earlier export (baseline) with the loaded dataset. Advisor links that appear
+// or disappear between people present in both are reported as changes to the student.
+const computeSnapshotDiff = (baseline, current) => {
+  const baselineById = new Map(baseline.nodes.map((node) => [node.id, node]));
+  const currentById = new Map(current.nodes.map((node) => [node.id, node]));
+  const nameOf = (id) => currentById.get(id)?.name ?? baselineById.get(id)?.name ?? id;
+  const added = new Set(current.nodes.filter((node) => !baselineById.has(node.id)).map((node) => node.id));
+  const removed = new Set(baseline.nodes.filter((node) => !currentById.has(node.id)).map((node) => node.id));
+
+  const changed = new Map();
+  const noteChange = (id, message) => {
+    if (!changed.has(id)) changed.set(id, []);
+    changed.get(id).push(message);
+  };
+  current.nodes.forEach((node) => {
+    const before = baselineById.get(node.id);
+    if (before) describeNodeChanges(before, node).forEach((message) => noteChange(node.id, message));
+  });
+
+  const baselineEdges = new Set(baseline.edges.map(snapshotEdgeKey));
+  const currentEdges = new Set(current.edges.map(snapshotEdgeKey));
+  const addedEdges = new Set(current.edges.map(snapshotEdgeKey).filter((key) => !baselineEdges.has(key)));
+  current.edges.forEach((edge) => {
+    if (addedEdges.has(snapshotEdgeKey(edge)) && !added.has(edge.to) && !added.has(edge.from)) {
+      noteChange(edge.to, `Now listed as a student of ${nameOf(edge.from)}`);
+    }
+  });
+  baseline.edges.forEach((edge) => {
+    if (currentEdges.has(snapshotEdgeKey(edge)) || removed.has(edge.to) || removed.has(edge.from)) return;
+    noteChange(edge.to, `No longer listed as a student of ${nameOf(edge.from)}`);
+  });
+
+  return { added, removed, changed, addedEdges };
+};
+
+// People missing from the loaded dataset are drawn as ghosts under their former advisors,
+// as long as that advisor chain reaches someone in the current lineage.
+const buildRemovedGhosts = (lineage) => {
+  const diff = state.snapshot?.diff;
+  if (!diff?.removed.size) return { nodes: [], edges: [] };
+  const baseline = state.snapshot.data;
+  const baselineById = new Map(baseline.nodes.map((node) => [node.id, node]));
+  const childrenByParent = d3.group(baseline.edges, (edge) => edge.from);
+  const depthById = new Map(lineage.nodes.map((node) => [node.id, node.depth]));
+  const queue = lineage.nodes.map((node) => node.id);
+  const nodes = [];
+  const edges = [];
+  for (let index = 0; index < queue.length; index += 1) {
+    const parentId = queue[index];
+    (childrenByParent.get(parentId) || []).forEach((edge) => {
+      if (!diff.removed.has(edge.to)) return;
+      if (!depthById.has(edge.to)) {
+        depthById.set(edge.to, depthById.get(parentId) + 1);
+        nodes.push({ ...baselineById.get(edge.to), depth: depthById.get(edge.to), isGhost: true });
+        queue.push(edge.to);
+      }
+      edges.push({ from: parentId, to: edge.to });
+    });
+  }
+  return { nodes, edges };
+};
+
+const getDiffStatus = (nodeId) => {
+  const diff = state.snapshot?.diff;
+  if (!diff) return null;
+  if (diff.added.has(nodeId)) return "added";
+  if (diff.removed.has(nodeId)) return "removed";
+  if (diff.changed.has(nodeId)) return "changed";
+  return null;
+};
+
+const DIFF_BADGE_LABELS = { added: "New", removed: "Removed", changed: "Changed" };
+
+const buildDiffBadge = (node) => {
+  const status = getDiffStatus(node.id);
+  return status ? `<span class="diff-badge diff-${status}">${DIFF_BADGE_LABELS[status]}</span>` : "";
+};
+
+const applyDiffToGraph = () => {
+  if (!graphState.nodeSelection) return;
+  const diff = state.snapshot?.diff;
+  graphState.nodeSelection
+    .classed("diff-added", (node) => getDiffStatus(node.id) === "added")
+    .classed("diff-removed", (node) => getDiffStatus(node.id) === "removed")
+    .classed("diff-changed", (node) => getDiffStatus(node.id) === "changed");
+  const endpointId = (end) => (typeof end === "object" ? end.id : end);
+  graphState.linkSelection
+    .classed(
+      "diff-added",
+      (link) => Boolean(diff?.addedEdges.has(`${endpointId(link.source)}\u0000${endpointId(link.target)}`))
+    )
+    .classed("diff-removed", (link) => Boolean(diff?.removed.has(endpointId(link.target))));
+};
+
+const renderSnapshotChangelog = () => {
+  const snapshot = state.snapshot;
+  const diff = snapshot?.diff;
+  elements.snapshotClear.hidden = !snapshot;
+  elements.snapshotLegend.hidden = !snapshot;
+  elements.snapshotChangelog.innerHTML = "";
+  if (!diff) {
+    elements.snapshotCount.textContent = "Off";
+    elements.snapshotCount.classList.add("is-clean");
+    return;
+  }
+  const total = diff.added.size + diff.removed.size + diff.changed.size;
+  elements.snapshotCount.textContent = total ? `${formatNumber(total)} changed` : "No changes";
+  elements.snapshotCount.classList.toggle("is-clean", !total);
+  elements.snapshotStatus.textContent = `Changes from ${snapshot.label} (${formatSnapshotStamp(snapshot.data)}) to ${formatSnapshotStamp(state.data)}.`;
+
+  const currentById = new Map(state.data.nodes.map((node) => [node.id, node]));
+  const baselineById = new Map(snapshot.data.nodes.map((node) => [node.id, node]));
+  const graphIds = new Set(state.nodes.map((node) => node.id));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const groups = [
+    {
+      title: "New people",
+      entries: Array.from(diff.added, (id) => currentById.get(id))
+        .sort(byName)
+        .map((node) => ({ node, details: node.affiliation_name ? [node.affiliation_name] : [] })),
+    },
+    {
+      title: "No longer listed",
+      entries: Array.from(diff.removed, (id) => baselineById.get(id))
+        .sort(byName)
+        .map((node) => ({ node, details: node.affiliation_name ? [`Was at ${node.affiliation_name}`] : [] })),
+    },
+    {
+      title: "Changed",
+      entries: Array.from(diff.changed, ([id, details]) => ({ node: currentById.get(id), details })).sort((a, b) =>
+        byName(a.node, b.node)
+      ),
+    },
+  ];
+
+  const fragment = document.createDocumentFragment();
+  groups.forEach(({ title, entries }) => {
+    if (!entries.length) return;
+    const section = document.createElement("section");
+    section.className = "finding-group";
+    const heading = document.createElement("h3");
+    heading.textContent = `${title} (${formatNumber(entries.length)})`;
+    const list = document.createElement("ul");
+    entries.forEach(({ node, details }) => {
+      const li = document.createElement("li");
+      // Removed people outside the current lineage have nowhere to be shown.
+      const reachable = currentById.has(node.id) || graphIds.has(node.id);
+      const name = document.createElement(reachable ? "button" : "strong");
+      name.textContent = node.name;
+      if (reachable) {
+        name.type = "button";
+        name.className = "link-button";
+        name.addEventListener("click", () => revealDatasetNode(node.id));
+      }
+      li.appendChild(name);
+      details.forEach((detail) => {
+        const line = document.createElement("p");
+        line.textContent = detail;
+        li.appendChild(line);
+      });
+      list.appendChild(li);
+    });
+    section.append(heading, list);
+    fragment.appendChild(section);
+  });
+  elements.snapshotChangelog.appendChild(fragment);
+};
+
+const setSnapshot = (snapshot, { pushHistory = true } = {}) => {
+  state.snapshot = snapshot ? { ...snapshot, diff: computeSnapshotDiff(snapshot.data, state.data) } : null;
+  if (!snapshot) elements.snapshotStatus.textContent = "";
+  const wasRestoring = urlState.restoring;
+  urlState.restoring = true;
+  try {
+    rebuildLineageView();
+    selectNode(graphState.nodesById.has(state.selectedNodeId) ? state.selectedNodeId : state.rootId);
+  } finally {
+    urlState.restoring = wasRestoring;
+  }
+  renderSnapshotChangelog();
+  if (pushHistory) syncUrlState({ push: true });
+};
+
+const loadSnapshotFromUrl = async (url, { pushHistory = true } = {}) => {
+  try {
+    const { data } = validateDataset(await fetchDataset(url));
+    setSnapshot({ data, url, label: url }, { pushHistory });
+  } catch (error) {
+    console.error("Failed to load comparison snapshot", error);
+    elements.snapshotStatus.textContent = `Could not load ${url}: ${[error.message, ...(error.issues ?? [])].join(" ")}`;
+  }
+};
+
+const handleSnapshotFileChange = async (event) => {
+  const file = event.target.files?.[0];
+  event.target.value = "";
+  if (!file) return;
+  try {
+    const { data } = validateDataset(parseDatasetJson(await file.text(), file.name));
+    setSnapshot({ data, url: null, label: file.name });
+  } catch (error) {
+    console.error("Failed to load comparison snapshot", error);
+    elements.snapshotStatus.textContent = `Could not load ${file.name}: ${[error.message, ...(error.issues ?? [])].join(" ")}`;
+  }
+};
+
+const resolveRootId = (candidateId) => {
+  const isKnown = candidateId && state.data.nodes.some((node) => node.id === candidateId);
+  return isKnown ? candidateId : state.data.root;
+};
+
+const enrichState = () => {
+  const lineage = buildLineageView(state.rootId);
+  const ghosts = buildRemovedGhosts(lineage);
+  state.edges = [...lineage.edges, ...ghosts.edges];
+  state.summary = lineage.summary;
+  const rootNode = lineage.nodes.find((node) => node.id === state.rootId);
+  state.rootName = rootNode?.name ?? "";
+  const phdYearsById = collectPhdYears(state.data.nodes, state.data.edges);
+  state.nodes = [...lineage.nodes, ...ghosts.nodes].map((node) => ({
+    ...node,
+    ...(phdYearsById.get(node.id) ?? { startYear: node.start_year ?? null, graduationYear: node.year ?? null }),
+    topicKeys: uniqueTopicKeys(node),
+    searchIndex: buildSearchIndex(node),
+    affiliationDisplay: node.affiliation_name || node.affiliation_domain || "—",
+    depthLabel: depthLabel(node.depth),
+  }));
+  state.filteredNodes = [...state.nodes];
+  state.careerById = buildCareerIndex(state.nodes.filter((node) => !node.isGhost));
+  state.topicLabels = buildTopicLabels(state.data.nodes);
+  state.lineageTree = buildLineageTree(state.nodes, state.edges);
+  state.timeline = buildTimeline();
+  rosterState.openById.clear();
+  rosterState.filteredOpenById.clear();
+};
+
+// When each person's PhD started and finished: their own years when given, otherwise the
+// earliest recorded on their advisor links. Missing years are null.
+const collectPhdYears = (nodes, edges) => {
+  const linksByStudent = d3.group(edges, (edge) => edge.to);
+  return new Map(
+    nodes.map((node) => {
+      const links = linksByStudent.get(node.id) || [];
+      return [
+        node.id,
+        {
+          startYear: node.start_year ?? d3.min(links, (edge) => edge.start_year) ?? null,
+          graduationYear: node.year ?? d3.min(links, (edge) => edge.year) ?? null,
+        },
+      ];
+    })
+  );
+};
+
+// Every person appears once, under the advisor a breadth-first walk from the root reaches them
+// through; students are in name order. The roster and the outline view both hang off this tree.
+const buildLineageTree = (nodes, edges) => {
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const studentsByAdvisor = d3.group(edges, (edge) => edge.from);
+  const childrenById = new Map();
+  const parentById = new Map();
+  const queue = [state.rootId];
+  for (let index = 0; index < queue.length; index += 1) {
+    const advisorId = queue[index];
+    const studentIds = Array.from(new Set((studentsByAdvisor.get(advisorId) || []).map((edge) => edge.to)))
+      .filter((studentId) => nodeById.has(studentId) && studentId !== state.rootId && !parentById.has(studentId))
+      .sort((a, b) => nodeById.get(a).name.localeCompare(nodeById.get(b).name));
+    studentIds.forEach((studentId) => {
+      parentById.set(studentId, advisorId);
+      queue.push(studentId);
+    });
+    childrenById.set(advisorId, studentIds);
+  }
+  return { nodeById, childrenById, parentById };
+};
+
+// Restricts the dataset to the descendants of rootId and recomputes every
+// root-relative metric. The dataset's own root is returned untouched so the
+// stored OpenReview numbers stay authoritative for the default view.
+const buildLineageView = (rootId) => {
+  const { nodes, edges, summary } = state.data;
+  if (rootId === state.data.root) {
+    return { nodes, edges, summary };
+  }
+  const lineage = computeLineageMetrics(nodes, edges, rootId);
+  return { ...lineage, summary: deriveSummary(lineage.nodes, lineage.edges, rootId) };
+};
+
+// Descendants of rootId with depth, advisee and distinct descendant counts measured from it.
+const computeLineageMetrics = (nodes, edges, rootId) => {
+  const childrenByParent = new Map();
+  edges.forEach((edge) => {
+    if (!childrenByParent.has(edge.from)) {
+      childrenByParent.set(edge.from, []);
+    }
+    childrenByParent.get(edge.from).push(edge.to);
+  });
+
+  const depthById = new Map([[rootId, 0]]);
+  const queue = [rootId];
+  for (let index = 0; index < queue.length; index += 1) {
+    const current = queue[index];
+    (childrenByParent.get(current) || []).forEach((child) => {
+      if (depthById.has(child)) return;
+      depthById.set(child, depthById.get(current) + 1);
+      queue.push(child);
+    });
+  }
+
+  // Edges pointing back at the new root (advising cycles) would give it a parent.
+  const subtreeEdges = edges.filter(
+    (edge) => depthById.has(edge.from) && depthById.has(edge.to) && edge.to !== rootId
+  );
+  const subtreeChildren = new Map();
+  subtreeEdges.forEach((edge) => {
+    if (!subtreeChildren.has(edge.from)) {
+      subtreeChildren.set(edge.from, []);
+    }
+    subtreeChildren.get(edge.from).push(edge.to);
+  });
+
+  const countDescendants = (nodeId) => {
+    const seen = new Set([nodeId]);
+    const stack = [nodeId];
+    while (stack.length) {
+      (subtreeChildren.get(stack.pop()) || []).forEach((child) => {
+        if (seen.has(child)) return;
+        seen.add(child);
+        stack.push(child);
+      });
+    }
+    return seen.size - 1;
+  };
+
+  const subtreeNodes = nodes
+    .filter((node) => depthById.has(node.id))
+    .map((node) => ({
+      ...node,
+      depth: depthById.get(node.id),
+      direct_advisee_count: new Set(subtreeChildren.get(node.id) || []).size,
+      total_descendants: countDescendants(node.id),
+    }));
+
+  return { nodes: subtreeNodes, edges: subtreeEdges };
+};
+
+const deriveSummary = (nodes, edges, rootId) => {
+  const depthCounts = {};
+  nodes.forEach((node) => {
+    depthCounts[node.depth] = (depthCounts[node.depth] ?? 0) + 1;
+  });
+  return {
+    total_nodes: nodes.length,
+    total_edges: edges.length,
+    max_depth: d3.max(nodes, (node) => node.depth) ?? 0,
+    depth_counts: depthCounts,
+    direct_advisees: new Set(edges.filter((edge) => edge.from === rootId).map((edge) => edge.to)).size,
+    generated_from: state.data?.summary?.generated_from,
+  };
+};
+
+// Shortest advisor chain from rootId down to nodeId, or null when nodeId is not below rootId.
+const findAdvisorPath = (rootId, nodeId, edges) => {
+  const parentOf = new Map([[rootId, null]]);
+  const queue = [rootId];
+  for (let index = 0; index < queue.length && !parentOf.has(nodeId); index += 1) {
+    const current = queue[index];
+    edges.forEach((edge) => {
+      if (edge.from !== current || parentOf.has(edge.to)) return;
+      parentOf.set(edge.to, current);
+      queue.push(edge.to);
+    });
+  }
+  if (!parentOf.has(nodeId)) return null;
+  const path = [];
+  for (let current = nodeId; current; current = parentOf.get(current)) {
+    path.unshift(current);
+  }
+  return path;
+};
+
+// Used for the breadcrumb, which always starts at the dataset root.
+const findPathFromDatasetRoot = (nodeId) =>
+  findAdvisorPath(state.data.root, nodeId, state.data.edges) ?? [state.data.root, nodeId];
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+
+// Folds case and strips diacritics so "Schütze" and "schutze" compare equal.
+const normalizeSearchText = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+const tokenizeSearchText = (normalized) => normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Spellings that mean the same research topic, keyed by the canonical topic. Both sides are
+// compared after keywordTopicKey's folding, so case, hyphens and plurals need no entries here.
+const KEYWORD_SYNONYMS = {
+  "natural language processing": ["nlp", "natural language processing nlp"],
+  "natural language understanding": ["nlu"],
+  "natural language generation": ["nlg"],
+  "large language model": ["llm"],
+  "language model": ["language modeling", "language modelling"],
+  "recurrent neural network": ["rnn"],
+  "reinforcement learning": ["rl"],
+  "machine learning": ["ml"],
+  "artificial intelligence": ["ai"],
+  "computer vision": ["cv"],
+  "machine translation": ["mt"],
+  "question answering": ["qa"],
+  "retrieval augmented generation": ["rag"],
+  "speech recognition": ["asr", "automatic speech recognition"],
+  "human computer interaction": ["hci"],
+  dialogue: ["dialog"],
+  "dialogue system": ["dialog system"],
+  summarization: ["summarisation", "text summarization"],
+  "vision and language": ["vision language", "language and vision"],
+  "vision and language navigation": ["vision language navigation"],
+  "3d vision": ["3d computer vision"],
+  "multiagent reinforcement learning": ["multiagent rl", "marl"],
+};
+
+// Trailing "s" on these endings is part of the word ("semantics", "analysis", "bias").
+const KEYWORD_PLURAL_EXCEPTIONS = /(?:ss|us|is|ics|ous|ness|as|ys)$/;
+// Words that end in "s" in the singular, which stripping would fold into other words
+// ("news" into "new", "lens" into "len").
+const KEYWORD_SINGULAR_S_WORDS = new Set(["news", "lens", "series", "species", "means", "chaos", "ethos"]);
+
+const singularizeWord = (word) => {
+  if (
+    word.length <= 3 ||
+    !word.endsWith("s") ||
+    KEYWORD_PLURAL_EXCEPTIONS.test(word) ||
+    KEYWORD_SINGULAR_S_WORDS.has(word)
+  ) {
+    return word;
+  }
+  if (word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (/(?:ss|ch|sh|x|z)es$/.test(word)) return word.slice(0, -2);
+  return word.slice(0, -1);
+};
+
+// Case, diacritics, punctuation, "multi-"/"pre-" style prefixes and plurals.
+const foldKeyword = (keyword) =>
+  normalizeSearchText(keyword)
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .replace(/\b(multi|pre|post|non|co) (?=\p{L})/gu, "$1")
+    .split(" ")
+    .map(singularizeWord)
+    .join(" ");
+
+// Folds a free-text keyword onto its topic: "Large Language Models", "LLMs" and
+// "large-language-model" all become "large language model".
+const keywordTopicKey = (() => {
+  const aliasToTopic = new Map();
+  Object.entries(KEYWORD_SYNONYMS).forEach(([topic, aliases]) => {
+    aliases.forEach((alias) => aliasToTopic.set(foldKeyword(alias), foldKeyword(topic)));
+  });
+  return (keyword) => {
+    const folded = foldKeyword(keyword);
+    return aliasToTopic.get(folded) ?? folded;
+  };
+})();
+
+// The topic itself plus its synonyms, so searching "NLP" finds "natural language processing".
+const topicSearchTerms = (topicKey) => [topicKey, ...(KEYWORD_SYNONYMS[topicKey] ?? [])];
+
+const uniqueTopicKeys = (node) =>
+  Array.from(new Set((node.expertise_keywords || []).map(keywordTopicKey).filter(Boolean)));
+
+// Labels each topic with its most common spelling in the dataset. Spellings that only reach
+// the topic through a synonym ("NLP", "LLMs") are used only when nothing else is listed.
+const buildTopicLabels = (nodes) => {
+  const spellings = new Map();
+  nodes.forEach((node) => {
+    (node.expertise_keywords || []).forEach((keyword) => {
+      const trimmed = keyword.trim();
+      const topicKey = keywordTopicKey(trimmed);
+      if (!topicKey) return;
+      if (!spellings.has(topicKey)) spellings.set(topicKey, new Map());
+      const counts = spellings.get(topicKey);
+      counts.set(trimmed, (counts.get(trimmed) ?? 0) + 1);
+    });
+  });
+  const labels = new Map();
+  spellings.forEach((counts, topicKey) => {
+    const isSynonym = (spelling) => foldKeyword(spelling) !== topicKey;
+    const [label] = Array.from(counts).sort((a, b) => isSynonym(a[0]) - isSynonym(b[0]) || b[1] - a[1])[0];
+    labels.set(topicKey, label);
+  });
+  return labels;
+};
+
+const buildSearchIndex = (node) => {
+  const name = normalizeSearchText(node.name);
+  const affiliation = normalizeSearchText(
+    [node.affiliation_name, node.affiliation_domain, node.affiliation?.department].filter(Boolean).join(" ")
+  );
+  const keywords = Array.from(
+    new Set([
+      ...(node.expertise_keywords || []).map(normalizeSearchText),
+      ...uniqueTopicKeys(node).flatMap(topicSearchTerms),
+    ])
+  );
+  const research = normalizeSearchText(node.research_area_summary);
+  const keywordTokens = keywords.flatMap(tokenizeSearchText);
+  return {
+    name,
+    nameTokens: tokenizeSearchText(name),
+    affiliation,
+    affiliationTokens: tokenizeSearchText(affiliation),
+    keywords,
+    keywordTokens: Array.from(new Set([...keywordTokens, ...keywordTokens.map(singularizeWord)])),
+    haystack: [name, affiliation, research, ...keywords].join(" "),
+  };
+};
+
+// Optimal string alignment distance: Levenshtein plus adjacent transpositions.
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > limit) return limit + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const typoAllowance = (needle) => {
+  if (needle.length >= 8) return 2;
+  if (needle.length >= 4) return 1;
+  return 0;
+};
+
+// How well one search word matches one indexed token: exact beats prefix beats a typo.
+// Single letters only count as initials, so "C D Manning" finds "Christopher D Manning".
+const matchSearchToken = (needle, token) => {
+  if (needle.length === 1) {
+    return token.startsWith(needle) ? { quality: 0.5, length: 1 } : null;
+  }
+  if (token === needle) return { quality: 1, length: token.length };
+  if (token.startsWith(needle)) return { quality: 0.8, length: needle.length };
+  const allowance = typoAllowance(needle);
+  if (!allowance) return null;
+  // Short words may not lose letters, otherwise "stan" would also match "tan".
+  const distance =
+    needle.length < 5 && token.length < needle.length ? allowance + 1 : editDistance(needle, token, allowance);
+  if (distance <= allowance) return { quality: 0.7 - distance * 0.1, length: token.length };
+  // A typo inside a longer word still counts when the word is being typed.
+  if (needle.length >= 5 && token.length > needle.length) {
+    const prefixDistance = editDistance(needle, token.slice(0, needle.length), allowance);
+    if (prefixDistance <= allowance) return { quality: 0.55 - prefixDistance * 0.1, length: needle.length };
+  }
+  return null;
+};
+
+const SEARCH_FIELD_WEIGHTS = { name: 100, affiliation: 30, keywords: 20 };
+
+const bestTokenMatch = (needle, tokens) =>
+  tokens.reduce((best, token) => {
+    const match = matchSearchToken(needle, token);
+    return match && (!best || match.quality > best.quality) ? match : best;
+  }, null);
+
+// Scores a single free-text word or quoted phrase against a node. Name hits outrank
+// affiliation hits, which outrank research keywords.
+const scoreSearchNeedle = (node, needle, { phrase = false } = {}) => {
+  const index = node.searchIndex;
+  if (phrase) {
+    if (index.name.includes(needle)) return { score: SEARCH_FIELD_WEIGHTS.name * 0.9, field: "name" };
+    if (index.affiliation.includes(needle)) {
+      return { score: SEARCH_FIELD_WEIGHTS.affiliation * 0.9, field: "affiliation" };
+    }
+    if (index.keywords.some((keyword) => keyword.includes(needle))) {
+      return { score: SEARCH_FIELD_WEIGHTS.keywords * 0.9, field: "keywords" };
+    }
+    return index.haystack.includes(needle) ? { score: 5, field: "research" } : { score: 0, field: null };
+  }
+
+  const candidates = [
+    ["name", bestTokenMatch(needle, index.nameTokens)],
+    ["affiliation", needle.length > 1 ? bestTokenMatch(needle, index.affiliationTokens) : null],
+    ["keywords", needle.length > 1 ? bestTokenMatch(singularizeWord(needle), index.keywordTokens) : null],
+  ];
+  const best = candidates.reduce(
+    (currentBest, [field, match]) => {
+      const score = match ? SEARCH_FIELD_WEIGHTS[field] * match.quality : 0;
+      return score > currentBest.score ? { score, field } : currentBest;
+    },
+    { score: 0, field: null }
+  );
+  if (best.score > 0) return best;
+  // Fall back to the old substring behaviour for fragments such as "stan" inside a domain.
+  if (needle.length > 2 && index.haystack.includes(needle)) return { score: 5, field: "research" };
+  return best;
+};
+
+// Maps each character of the normalized string back to its index in the original text
+// so highlights land on the right characters even when diacritics were stripped.
+const normalizeWithOffsets = (text) => {
+  let normalized = "";
+  const offsets = [];
+  Array.from(text).forEach((char, charIndex, chars) => {
+    const original = chars.slice(0, charIndex).join("").length;
+    const folded = normalizeSearchText(char);
+    for (let i = 0; i < folded.length; i += 1) {
+      normalized += folded[i];
+      offsets.push(original);
+    }
+  });
+  offsets.push(text.length);
+  return { normalized, offsets };
+};
+
+const highlightSearchMatches = (text, needles) => {
+  const source = String(text ?? "");
+  if (!needles.length || !source) return escapeHtml(source);
+  const { normalized, offsets } = normalizeWithOffsets(source);
+  const ranges = [];
+  const tokenPattern = /[\p{L}\p{N}]+/gu;
+  let tokenMatch;
+  while ((tokenMatch = tokenPattern.exec(normalized))) {
+    const token = tokenMatch[0];
+    needles.forEach(({ needle, phrase }) => {
+      if (phrase) return;
+      const match = matchSearchToken(needle, token);
+      if (match) ranges.push([tokenMatch.index, tokenMatch.index + Math.min(match.length, token.length)]);
+    });
+  }
+  needles
+    .filter(({ phrase }) => phrase)
+    .forEach(({ needle }) => {
+      let from = normalized.indexOf(needle);
+      while (needle && from !== -1) {
+        ranges.push([from, from + needle.length]);
+        from = normalized.indexOf(needle, from + needle.length);
       }
+    });
+  if (!ranges.length) return escapeHtml(source);
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = ranges.reduce((list, range) => {
+    const last = list[list.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      list.push([...range]);
+    }
+    return list;
+  }, []);
+  let html = "";
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    const originalStart = offsets[start];
+    const originalEnd = offsets[end];
+    html += escapeHtml(source.slice(cursor, originalStart));
+    html += `<mark>${escapeHtml(source.slice(originalStart, originalEnd))}</mark>`;
+    cursor = originalEnd;
+  });
+  return html + escapeHtml(source.slice(cursor));
+};
+
+const depthLabel = (depth) => {
+  if (depth === 0) return `Generation 0 (${state.rootName || "Root"})`;
+  if (depth === 1) return "Generation 1 (Direct PhD student)";
+  return `Generation ${depth}`;
+};
+
+const populateSummary = () => {
+  const { total_nodes, direct_advisees, max_depth, depth_counts, generated_from } = state.summary;
+
+  elements.summaryTotalNodes.textContent = formatNumber(total_nodes);
+  elements.summaryDirectAdvisees.textContent = formatNumber(direct_advisees);
+  elements.summaryDepth.textContent = formatNumber(max_depth + 1);
+
+  const uniqueInstitutions = new Set(
+    Array.from(state.careerById.values(), (career) => career.institutionKey).filter(Boolean)
+  );
+  elements.summaryInstitutions.textContent = uniqueInstitutions.size
+    ? formatNumber(uniqueInstitutions.size)
+    : "–";
+
+  const generatedStamp =
+    state.data.generated_at ||
+    new Date().toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  elements.summaryGenerated.textContent = `${generated_from ?? "OpenReview"}, ${generatedStamp}`;
+
+  // optional: show tooltip with depth counts
+  elements.summaryDepth.title = Object.entries(depth_counts)
+    .map(([depth, count]) => `Generation ${depth}: ${formatNumber(count)} people`)
+    .join("\n");
+};
+
+const populateFilters = () => {
+  const previousValue = elements.depthFilter.value;
+  Array.from(elements.depthFilter.options)
+    .filter((option) => option.value !== "all")
+    .forEach((option) => option.remove());
+  const depths = Array.from(new Set(state.nodes.map((node) => node.depth))).sort((a, b) => a - b);
+  depths.forEach((depth) => {
+    const option = document.createElement("option");
+    option.value = String(depth);
+    option.textContent = depthLabel(depth);
+    elements.depthFilter.appendChild(option);
+  });
+  const stillAvailable = depths.some((depth) => String(depth) === previousValue);
+  elements.depthFilter.value = stillAvailable ? previousValue : "all";
+};
+
+const renderRootBreadcrumb = () => {
+  const isDatasetRoot = state.rootId === state.data.root;
+  elements.rootBreadcrumb.classList.toggle("hidden", isDatasetRoot);
+  elements.rootBreadcrumbList.innerHTML = "";
+  if (isDatasetRoot) return;
+
+  const namesById = new Map(state.data.nodes.map((node) => [node.id, node.name]));
+  const fragment = document.createDocumentFragment();
+  findPathFromDatasetRoot(state.rootId).forEach((nodeId) => {
+    const li = document.createElement("li");
+    const name = namesById.get(nodeId) ?? nodeId;
+    if (nodeId === state.rootId) {
+      const current = document.createElement("span");
+      current.textContent = name;
+      current.setAttribute("aria-current", "page");
+      li.appendChild(current);
+    } else {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = name;
+      button.addEventListener("click", () => rerootGraph(nodeId));
+      li.appendChild(button);
+    }
+    fragment.appendChild(li);
+  });
+  elements.rootBreadcrumbList.appendChild(fragment);
+};
+
+const rebuildLineageView = () => {
+  enrichState();
+  populateSummary();
+  populateFilters();
+  renderTimeline();
+  renderRootBreadcrumb();
+  handleFiltersChanged();
+  renderAnalytics();
+  renderTopics();
+  try {
+    initGraph();
+  } catch (error) {
+    console.error("Graph initialization failed:", error);
+    showGraphError(error);
+  }
+  renderMap();
+  state.outlineExpanded = new Set();
+  renderOutline();
+  populateRelationOptions();
+  renderComparison();
+};
+
+const rerootGraph = (rootId, { pushHistory = true } = {}) => {
+  if (!state.data || !rootId || rootId === state.rootId) return;
+  if (resolveRootId(rootId) !== rootId) return;
+  const wasRestoring = urlState.restoring;
+  urlState.restoring = true;
+  try {
+    state.rootId = rootId;
+    rebuildLineageView();
+  } finally {
+    urlState.restoring = wasRestoring;
+  }
+  if (pushHistory) {
+    syncUrlState({ push: true });
+  }
+};
+
+const handleRerootClick = () => {
+  rerootGraph(state.selectedNodeId);
+};
+
+const parseTransformParam = (value) => {
+  if (!value) return null;
+  const [x, y, k] = value.split(",").map(Number);
+  if (![x, y, k].every(Number.isFinite) || k <= 0) return null;
+  return d3.zoomIdentity.translate(x, y).scale(k);
+};
+
+const formatTransformParam = (transform) => {
+  if (!transform) return null;
+  return `${transform.x.toFixed(1)},${transform.y.toFixed(1)},${transform.k.toFixed(3)}`;
+};
+
+const readUrlState = () => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    dataUrl: params.get("data"),
+    compareUrl: params.get("compare"),
+    facet: parseFacetParam(params.get("facet")),
+    rootId: params.get("root"),
+    viewMode: VIEW_MODES.has(params.get("mode")) ? params.get("mode") : "graph",
+    layout: params.get("layout") ?? "force",
+    colorBy: params.get("color") ?? "gen",
+    sizeBy: params.get("size") ?? "descendants",
+    renderer: params.get("renderer") ?? "auto",
+    nodeId: params.get("node"),
+    search: params.get("q") ?? "",
+    filterMode: params.get("match") === "hide" ? "hide" : "dim",
+    depth: params.get("gen") ?? "all",
+    year: params.has("year") ? Number.parseInt(params.get("year"), 10) || null : null,
+    transform: parseTransformParam(params.get("view")),
+  };
+};
+
+const buildStateUrl = () => {
+  const url = new URL(window.location.href);
+  const setParam = (key, value) => {
+    if (value) url.searchParams.set(key, value);
+    else url.searchParams.delete(key);
+  };
+  const depthValue = elements.depthFilter.value;
+  setParam("data", state.dataSource?.kind === "url" ? state.dataSource.url : null);
+  setParam("compare", state.snapshot?.url ?? null);
+  setParam("root", state.rootId === state.data.root ? null : state.rootId);
+  setParam("mode", state.viewMode === "graph" ? null : state.viewMode);
+  setParam("layout", graphState.layout === "force" ? null : graphState.layout);
+  setParam("color", graphState.colorBy === "gen" ? null : graphState.colorBy);
+  setParam("size", graphState.sizeBy === "descendants" ? null : graphState.sizeBy);
+  setParam("renderer", graphState.rendererSetting === "auto" ? null : graphState.rendererSetting);
+  // The root is the default selection, so it is left out to keep links short.
+  setParam("node", state.selectedNodeId === state.rootId ? null : state.selectedNodeId);
+  setParam("q", elements.searchInput.value.trim());
+  setParam("gen", depthValue === "all" ? null : depthValue);
+  setParam("match", state.filterMode === "hide" ? "hide" : null);
+  setParam("facet", formatFacetParam(state.facet));
+  setParam("year", state.timelineYear === null ? null : String(state.timelineYear));
+  setParam("view", formatTransformParam(graphState.currentTransform));
+  return url;
+};
+
+const syncUrlState = ({ push = false } = {}) => {
+  if (!urlState.ready || urlState.restoring || !state.data) return;
+  const url = buildStateUrl();
+  if (url.href === window.location.href) return;
+  const historyState = {
+    nodeId: state.selectedNodeId,
+    dataFile: state.dataSource?.kind === "file" ? state.dataSource.label : null,
+  };
+  if (push) {
+    window.history.pushState(historyState, "", url);
+  } else {
+    window.history.replaceState(historyState, "", url);
+  }
+};
+
+const scheduleUrlViewSync = () => {
+  if (!urlState.ready) return;
+  clearTimeout(urlState.viewSyncTimeout);
+  urlState.viewSyncTimeout = window.setTimeout(() => syncUrlState(), 250);
+};
+
+const restoreUrlState = (urlValues, { initial = false } = {}) => {
+  if (!state.data) return;
+  urlState.restoring = true;
+  try {
+    const rootId = resolveRootId(urlValues.rootId);
+    if (!initial && rootId !== state.rootId) {
+      state.rootId = rootId;
+      rebuildLineageView();
+    }
+    const hasDepthOption = Array.from(elements.depthFilter.options).some(
+      (option) => option.value === urlValues.depth
+    );
+    elements.searchInput.value = urlValues.search;
+    state.filterMode = urlValues.filterMode;
+    elements.filterModeInputs.forEach((input) => {
+      input.checked = input.value === state.filterMode;
+    });
+    elements.depthFilter.value = hasDepthOption ? urlValues.depth : "all";
+    state.facet = urlValues.facet;
+    handleFiltersChanged();
+    stopTimelinePlayback();
+    setTimelineYear(urlValues.year);
+    renderAnalytics();
+    setNodeEncoding({ colorBy: urlValues.colorBy, sizeBy: urlValues.sizeBy });
+    setGraphRenderer(urlValues.renderer);
+    const layout = GRAPH_LAYOUTS[urlValues.layout] ? urlValues.layout : "force";
+    setGraphLayout(layout, { animate: !initial, fit: false });
+    setViewMode(urlValues.viewMode, { pushHistory: false });
+
+    const nodeId = graphState.nodesById.has(urlValues.nodeId) ? urlValues.nodeId : state.rootId;
+    selectNode(nodeId);
+
+    if (initial) {
+      if (urlValues.transform) {
+        graphState.initialView = { transform: urlValues.transform };
+      } else if (nodeId !== state.rootId) {
+        graphState.initialView = { nodeId };
+      }
+    } else if (urlValues.transform) {
+      applyGraphTransform(urlValues.transform);
+    } else {
+      focusGraphNode(nodeId, { scale: nodeId === state.rootId ? 1.05 : 1.35 });
+    }
+  } finally {
+    urlState.restoring = false;
+  }
+  if (initial) {
+    urlState.ready = true;
+  }
+};
+
+const handlePopState = async (event) => {
+  const urlValues = readUrlState();
+  const dataUrl = urlValues.dataUrl || DEFAULT_DATA_URL;
+  // Entries recorded while a local file was open have no data param and the file cannot be
+  // fetched again, so they keep whatever dataset is loaded.
+  const fromFile = Boolean(event.state?.dataFile);
+  if (!fromFile && dataUrl !== state.dataSource?.url) {
+    await switchDatasetUrl(dataUrl, { pushHistory: false });
+  }
+  if (urlValues.compareUrl && urlValues.compareUrl !== state.snapshot?.url) {
+    await loadSnapshotFromUrl(urlValues.compareUrl, { pushHistory: false });
+  } else if (!urlValues.compareUrl && state.snapshot?.url) {
+    setSnapshot(null, { pushHistory: false });
+  }
+  restoreUrlState(urlValues);
+};
+
+const wireEvents = () => {
+  window.addEventListener("popstate", handlePopState);
+  elements.searchInput.addEventListener("input", handleFiltersChanged);
+  elements.searchInput.addEventListener("keydown", handleSearchKeydown);
+  elements.searchInput.addEventListener("blur", closeSearchSuggestions);
+  elements.depthFilter.addEventListener("change", handleFiltersChanged);
+  elements.filterModeInputs.forEach((input) => input.addEventListener("change", handleFilterModeChange));
+  elements.rosterSort.addEventListener("change", handleRosterControlsChange);
+  elements.rosterGroup.addEventListener("change", handleRosterControlsChange);
+  elements.rosterList.addEventListener("click", handleRosterClick);
+  elements.rosterList.addEventListener("mousedown", handleRosterMousedown);
+  elements.rosterList.addEventListener("dblclick", handleRosterDblclick);
+  elements.rosterList.addEventListener("scroll", scheduleRosterWindow);
+  elements.previewRefresh.addEventListener("click", handlePreviewRefresh);
+  elements.profileReroot.addEventListener("click", handleRerootClick);
+  elements.viewMode.addEventListener("change", handleViewModeChange);
+  elements.mapClusterClose.addEventListener("click", closeMapCluster);
+  elements.outlineTree.addEventListener("keydown", handleOutlineKeydown);
+  elements.outlineTree.addEventListener("click", handleOutlineClick);
+  elements.layoutSelect.addEventListener("change", handleLayoutChange);
+  elements.colorBy.addEventListener("change", handleEncodingChange);
+  elements.sizeBy.addEventListener("change", handleEncodingChange);
+  elements.graphRenderer.addEventListener("change", handleGraphRendererChange);
+  elements.expandDepth.addEventListener("change", handleExpandDepthChange);
+  elements.expandAll.addEventListener("click", expandAllNodes);
+  elements.timelinePlay.addEventListener("click", toggleTimelinePlayback);
+  elements.timelineRange.addEventListener("input", handleTimelineInput);
+  elements.collapseToLineage.addEventListener("click", collapseToSelectedLineage);
+  elements.exportForm.addEventListener("submit", handleExportSubmit);
+  elements.exportFormat.addEventListener("change", handleExportFormatChange);
+  elements.dataExportForm.addEventListener("submit", handleDataExportSubmit);
+  elements.dataExportFormat.addEventListener("change", updateDataExportScope);
+  elements.dataExportMenu.addEventListener("toggle", updateDataExportScope);
+  elements.analyticsPanel.addEventListener("toggle", renderAnalytics);
+  elements.analyticsBreakdown.addEventListener("change", renderAnalytics);
+  elements.summaryInstitutionsLink.addEventListener("click", openAnalyticsPanel);
+  elements.topicsPanel.addEventListener("toggle", renderTopics);
+  elements.topicsBreakdown.addEventListener("change", renderTopics);
+  elements.relationPanel.addEventListener("toggle", handleRelationPanelToggle);
+  elements.relationForm.addEventListener("submit", handleRelationSubmit);
+  elements.relationSwap.addEventListener("click", handleRelationSwap);
+  elements.comparisonClear.addEventListener("click", clearComparison);
+  elements.facetChipClear.addEventListener("click", () => setFacet(null));
+  elements.previewFrame.addEventListener("load", handlePreviewLoad);
+  elements.previewFrame.addEventListener("error", handlePreviewError);
+};
+
+const QUERY_FIELDS = {
+  name: { kind: "text", values: (node) => [node.name] },
+  affiliation: {
+    kind: "text",
+    aliases: ["aff", "institution", "org"],
+    values: (node) => [
+      node.affiliation_name,
+      node.affiliation_domain,
+      node.affiliation?.department,
+      node.affiliation?.city,
+      node.affiliation?.stateProvince,
+    ],
+  },
+  domain: { kind: "text", values: (node) => [node.affiliation_domain] },
+  keyword: {
+    kind: "topic",
+    aliases: ["kw", "topic"],
+    values: (node) => node.expertise_keywords || [],
+  },
+  country: {
+    kind: "exact",
+    values: (node) => [node.affiliation_country ?? node.affiliation?.country],
+  },
+  gen: { kind: "number", aliases: ["generation", "depth"], value: (node) => node.depth },
+  advisees: {
+    kind: "number",
+    aliases: ["students"],
+    value: (node) => node.direct_advisee_count,
+  },
+  descendants: {
+    kind: "number",
+    aliases: ["lineage"],
+    value: (node) => node.total_descendants,
+  },
+  "descendant-of": { kind: "person", relation: "descendants" },
+  "student-of": { kind: "person", aliases: ["advisor"], relation: "children" },
+};
+
+const QUERY_FIELD_ALIASES = new Map(
+  Object.entries(QUERY_FIELDS).flatMap(([name, field]) =>
+    [name, ...(field.aliases || [])].map((alias) => [alias, name])
+  )
+);
+
+// Splits a query into parentheses, AND/OR/NOT operators and terms. A term is a bare word,
+// a quoted phrase, or field:value where the value may itself be quoted.
+const tokenizeSearchQuery = (text) => {
+  const tokens = [];
+  let index = 0;
+  const readQuoted = () => {
+    const end = text.indexOf('"', index + 1);
+    if (end === -1) {
+      throw new Error("Missing closing quote.");
+    }
+    const value = text.slice(index + 1, end);
+    index = end + 1;
+    return value;
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char });
+      index += 1;
+    } else if (char === '"') {
+      tokens.push({ type: "term", field: null, value: readQuoted(), quoted: true });
+    } else if (char === "-" && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+      // A leading dash negates whatever follows: -keyword:parsing, -"phrase" or -(group).
+      tokens.push({ type: "NOT" });
+      index += 1;
+    } else {
+      const start = index;
+      while (index < text.length && !/[\s()"]/.test(text[index])) {
+        index += 1;
+      }
+      const word = text.slice(start, index);
+      if (word === "AND" || word === "OR" || word === "NOT") {
+        tokens.push({ type: word });
+        continue;
+      }
+      const colon = word.indexOf(":");
+      if (colon <= 0) {
+        tokens.push({ type: "term", field: null, value: word, quoted: false });
+        continue;
+      }
+      const field = word.slice(0, colon).toLowerCase();
+      let value = word.slice(colon + 1);
+      let quoted = false;
+      if (!value && text[index] === '"') {
+        value = readQuoted();
+        quoted = true;
+      }
+      tokens.push({ type: "term", field, value, quoted });
+    }
+  }
+  return tokens;
+};
+
+const parseNumericCondition = (fieldName, rawValue) => {
+  const match = rawValue.match(/^(>=|<=|>|<|=)?\s*(-?\d+(?:\.\d+)?)$/);
+  if (!match) {
+    throw new Error(`${fieldName}: expects a number such as ${fieldName}:>=2.`);
+  }
+  const [, operator = "=", numberText] = match;
+  const target = Number(numberText);
+  const compare = {
+    ">=": (value) => value >= target,
+    "<=": (value) => value <= target,
+    ">": (value) => value > target,
+    "<": (value) => value < target,
+    "=": (value) => value === target,
+  }[operator];
+  return compare;
+};
+
+const resolvePeopleByName = (rawValue) => {
+  const needle = rawValue.trim().toLowerCase();
+  const byId = state.nodes.filter((node) => node.id.toLowerCase() === needle);
+  if (byId.length) return byId;
+  const exact = state.nodes.filter((node) => node.name.toLowerCase() === needle);
+  if (exact.length) return exact;
+  return state.nodes.filter((node) => node.name.toLowerCase().includes(needle));
+};
+
+const collectRelatives = (ancestorIds, relation) => {
+  const childrenByParent = new Map();
+  state.edges.forEach((edge) => {
+    if (!childrenByParent.has(edge.from)) {
+      childrenByParent.set(edge.from, []);
+    }
+    childrenByParent.get(edge.from).push(edge.to);
+  });
+  const related = new Set();
+  const stack = [...ancestorIds];
+  while (stack.length) {
+    (childrenByParent.get(stack.pop()) || []).forEach((child) => {
+      if (related.has(child)) return;
+      related.add(child);
+      if (relation === "descendants") {
+        stack.push(child);
+      }
+    });
+  }
+  ancestorIds.forEach((ancestorId) => related.delete(ancestorId));
+  return related;
+};
+
+const createFreeTextScorer = (needle, phrase) => {
+  const cache = new Map();
+  const scorer = (node) => {
+    if (!cache.has(node.id)) {
+      cache.set(node.id, scoreSearchNeedle(node, needle, { phrase }));
+    }
+    return cache.get(node.id);
+  };
+  scorer.needle = needle;
+  scorer.phrase = phrase;
+  return scorer;
+};
+
+const compileSearchTerm = (token, context) => {
+  const value = token.value.trim();
+  if (!token.field) {
+    if (!value) {
+      throw new Error("Empty search term.");
+    }
+    const needle = normalizeSearchText(value);
+    const scorer = createFreeTextScorer(needle, token.quoted && /\s/.test(needle));
+    // Negated words filter results but should not rank or highlight them.
+    if (!context.negationDepth) {
+      context.scorers.push(scorer);
+    }
+    return (node) => scorer(node).score > 0;
+  }
+
+  const fieldName = QUERY_FIELD_ALIASES.get(token.field);
+  if (!fieldName) {
+    throw new Error(
+      `Unknown field "${token.field}:". Try ${Object.keys(QUERY_FIELDS)
+        .map((name) => `${name}:`)
+        .join(", ")}.`
+    );
+  }
+  if (!value) {
+    throw new Error(`Missing value after ${token.field}:.`);
+  }
+  const field = QUERY_FIELDS[fieldName];
+  const needle = value.toLowerCase();
+
+  if (field.kind === "number") {
+    const compare = parseNumericCondition(token.field, value);
+    return (node) => compare(Number(field.value(node) ?? 0));
+  }
+  if (field.kind === "topic") {
+    const topicKey = keywordTopicKey(value);
+    return (node) =>
+      node.topicKeys.includes(topicKey) ||
+      field.values(node).some((candidate) => candidate && String(candidate).toLowerCase().includes(needle));
+  }
+  if (field.kind === "exact") {
+    return (node) => field.values(node).some((candidate) => String(candidate ?? "").toLowerCase() === needle);
+  }
+  if (field.kind === "person") {
+    const people = resolvePeopleByName(value);
+    if (!people.length) {
+      throw new Error(`No one named "${value}" in this tree.`);
+    }
+    const related = collectRelatives(
+      people.map((person) => person.id),
+      field.relation
+    );
+    return (node) => related.has(node.id);
+  }
+  return (node) =>
+    field.values(node).some((candidate) => candidate && String(candidate).toLowerCase().includes(needle));
+};
+
+// Recursive-descent parser over the tokens. Adjacent terms are joined with an implicit AND,
+// which binds tighter than OR; NOT (or a leading "-") negates the next term or group.
+const parseSearchQuery = (tokens, context) => {
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek()?.type === "OR") {
+      position += 1;
+      const right = parseAnd();
+      const previous = left;
+      left = (node) => previous(node) || right(node);
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") {
+        position += 1;
+      }
+      const right = parseUnary();
+      const previous = left;
+      left = (node) => previous(node) && right(node);
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error("The query ends where a search term was expected.");
+    }
+    if (token.type === "NOT") {
+      position += 1;
+      context.negationDepth += 1;
+      const operand = parseUnary();
+      context.negationDepth -= 1;
+      return (node) => !operand(node);
+    }
+    if (token.type === "(") {
+      position += 1;
+      const inner = parseOr();
+      if (peek()?.type !== ")") {
+        throw new Error("Missing closing parenthesis.");
+      }
+      position += 1;
+      return inner;
+    }
+    if (token.type === "term") {
+      position += 1;
+      return compileSearchTerm(token, context);
+    }
+    throw new Error(`Unexpected ${token.type === ")" ? '")"' : token.type}.`);
+  };
+
+  const predicate = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ${tokens[position].type === ")" ? '")"' : tokens[position].type}.`);
+  }
+  return predicate;
+};
+
+const compileSearchQuery = (text) => {
+  if (!text.trim()) {
+    return { predicate: null, scorers: [], plain: false, error: null };
+  }
+  try {
+    const tokens = tokenizeSearchQuery(text);
+    const context = { scorers: [], negationDepth: 0 };
+    const predicate = parseSearchQuery(tokens, context);
+    const plain = tokens.every((token) => token.type === "term" && !token.field);
+    return { predicate, scorers: context.scorers, plain, error: null };
+  } catch (error) {
+    return { predicate: null, scorers: [], plain: false, error: error.message };
+  }
+};
+
+const scoreSearchResult = (node, scorers) =>
+  scorers.reduce((total, scorer) => total + scorer(node).score, 0);
+
+const showSearchError = (message) => {
+  elements.searchError.textContent = message ?? "";
+  elements.searchError.hidden = !message;
+  elements.searchInput.setAttribute("aria-invalid", message ? "true" : "false");
+};
+
+const handleFiltersChanged = () => {
+  const { predicate, scorers, plain, error } = compileSearchQuery(elements.searchInput.value);
+  const depthValue = elements.depthFilter.value;
+  showSearchError(error);
+  // Keep the last valid results on screen while a query is half-typed.
+  if (error) {
+    closeSearchSuggestions();
+    return;
+  }
+
+  state.filteredNodes = state.nodes.filter((node) => {
+    const matchesSearch = predicate ? predicate(node) : true;
+    const matchesDepth = depthValue === "all" ? true : String(node.depth) === depthValue;
+    return matchesSearch && matchesDepth && matchesFacet(node);
+  });
+  if (scorers.length) {
+    const scores = new Map(state.filteredNodes.map((node) => [node.id, scoreSearchResult(node, scorers)]));
+    state.filteredNodes.sort(
+      (a, b) => scores.get(b.id) - scores.get(a.id) || d3.ascending(a.name, b.name)
+    );
+  }
+  state.hasActiveFilter = !!predicate || depthValue !== "all" || !!state.facet;
+  state.searchScorers = scorers;
+
+  renderFacetChip();
+  rosterState.filteredOpenById.clear();
+  renderRoster();
+  updateSearchSuggestions(plain ? state.filteredNodes : []);
+  applyFilterToGraph({ fit: urlState.ready && !urlState.restoring });
+  drawMapOverlays();
+  syncUrlState();
+};
+
+const collectAncestorIds = (nodeIds) => {
+  const ancestors = new Set();
+  const queue = Array.from(nodeIds);
+  while (queue.length) {
+    getParents(queue.shift()).forEach((parent) => {
+      if (ancestors.has(parent)) return;
+      ancestors.add(parent);
+      queue.push(parent);
+    });
+  }
+  return ancestors;
+};
+
+// Matches are emphasised, their advisor chains stay visible for context and everyone else
+// is dimmed or hidden depending on the chosen mode. The layout itself is left alone.
+const applyFilterToGraph = ({ fit = false } = {}) => {
+  const active = state.hasActiveFilter;
+  const matchingIds = new Set(state.filteredNodes.map((node) => node.id));
+  updateMatchCount(matchingIds.size);
+  if (!graphState.nodeSelection) return;
+
+  const contextIds = active ? collectAncestorIds(matchingIds) : new Set();
+  const isShown = (nodeId) => !active || matchingIds.has(nodeId) || contextIds.has(nodeId);
+  const hide = state.filterMode === "hide";
+  graphState.filterHiddenIds = new Set(
+    hide ? Array.from(graphState.nodesById.keys()).filter((nodeId) => !isShown(nodeId)) : []
+  );
+  graphState.nodeSelection
+    .classed("search-match", (node) => active && matchingIds.has(node.id))
+    .classed("filter-context", (node) => active && !matchingIds.has(node.id) && contextIds.has(node.id))
+    .classed("filter-muted", (node) => !hide && !isShown(node.id))
+    .classed("filter-hidden", (node) => graphState.filterHiddenIds.has(node.id));
+  const isLinkShown = (link) => {
+    const sourceId = typeof link.source === "object" ? link.source.id : link.source;
+    const targetId = typeof link.target === "object" ? link.target.id : link.target;
+    return isShown(sourceId) && isShown(targetId);
+  };
+  graphState.linkSelection
+    .classed("filter-muted", (link) => !hide && !isLinkShown(link))
+    .classed("filter-hidden", (link) => hide && !isLinkShown(link));
+  updateGraphTabStop(state.selectedNodeId);
+
+  if (fit) {
+    scheduleFilterFit(active && matchingIds.size ? matchingIds : null);
+  }
+};
+
+// Waits for typing to pause before moving the camera to the matching people.
+const scheduleFilterFit = (nodeIds) => {
+  clearTimeout(filterFitTimeout);
+  filterFitTimeout = window.setTimeout(() => {
+    focusGraphBounds({
+      nodeIds,
+      padding: 220,
+      maxScale: nodeIds ? 1.4 : 0.95,
+      minScale: graphState.layout === "force" ? 0.35 : 0.08,
+    });
+  }, 400);
+};
+
+const updateMatchCount = (matchCount) => {
+  const total = state.nodes.length;
+  elements.matchCount.textContent = state.hasActiveFilter
+    ? `${formatNumber(matchCount)} of ${formatNumber(total)} people match`
+    : `Showing all ${formatNumber(total)} people`;
+};
+
+const TIMELINE_STEP_YEARS = 10;
+const TIMELINE_STEP_MS = 1200;
+
+// The year each person joins the timeline: when they graduated, or when their first student
+// did if that is earlier or their own year is missing, so nobody appears before their advisor.
+// The root is there from the start; people with no dated students or year of their own only
+// appear once the slider reaches the end.
+const buildTimeline = () => {
+  const dated = state.nodes.filter((node) => node.graduationYear !== null && node.id !== state.rootId);
+  if (!dated.length) return null;
+  const nodeById = new Map(state.nodes.map((node) => [node.id, node]));
+  const studentsByAdvisor = d3.group(state.edges, (edge) => edge.from);
+  const yearById = new Map();
+  const appearance = (nodeId) => {
+    if (yearById.has(nodeId)) return yearById.get(nodeId);
+    yearById.set(nodeId, null);
+    const studentYears = (studentsByAdvisor.get(nodeId) || []).map((edge) => appearance(edge.to));
+    const year = d3.min([nodeById.get(nodeId)?.graduationYear, ...studentYears]) ?? null;
+    yearById.set(nodeId, year);
+    return year;
+  };
+  state.nodes.forEach((node) => appearance(node.id));
+  return {
+    yearById,
+    min: d3.min(dated, (node) => node.graduationYear),
+    max: d3.max(dated, (node) => node.graduationYear),
+    undatedCount: state.nodes.filter((node) => node.id !== state.rootId && yearById.get(node.id) === null).length,
+  };
+};
+
+const isOnTimeline = (nodeId) => {
+  if (state.timelineYear === null || nodeId === state.rootId) return true;
+  const year = state.timeline.yearById.get(nodeId);
+  return year !== null && year <= state.timelineYear;
+};
+
+// Hides everyone who had not graduated by the chosen year. Like the search filter, this
+// leaves the layout alone, so the tree grows in place.
+const applyTimelineToGraph = () => {
+  if (!graphState.nodeSelection) return;
+  graphState.nodeSelection.classed("timeline-hidden", (node) => !isOnTimeline(node.id));
+  graphState.linkSelection.classed("timeline-hidden", (link) => {
+    const sourceId = typeof link.source === "object" ? link.source.id : link.source;
+    const targetId = typeof link.target === "object" ? link.target.id : link.target;
+    return !isOnTimeline(sourceId) || !isOnTimeline(targetId);
+  });
+  updateGraphTabStop(state.selectedNodeId);
+};
+
+const renderTimelineStatus = () => {
+  const { timeline, timelineYear } = state;
+  elements.timelineValue.textContent = String(timelineYear ?? timeline.max);
+  if (timelineYear === null) {
+    const undated = timeline.undatedCount;
+    elements.timelineStatus.textContent = undated
+      ? `${formatNumber(undated)} ${undated === 1 ? "person has" : "people have"} no graduation year and only ${
+          undated === 1 ? "appears" : "appear"
+        } at the end.`
+      : "";
+    return;
+  }
+  const shown = state.nodes.filter((node) => isOnTimeline(node.id)).length;
+  elements.timelineStatus.textContent = `${formatNumber(shown)} of ${formatNumber(state.nodes.length)} people by ${timelineYear}`;
+};
+
+// The slider's last year means "no timeline", which also brings back people without a year.
+const setTimelineYear = (year) => {
+  if (!state.timeline) return;
+  const { min, max } = state.timeline;
+  state.timelineYear = year === null || year >= max ? null : Math.max(min, year);
+  elements.timelineRange.value = String(state.timelineYear ?? max);
+  renderTimelineStatus();
+  applyTimelineToGraph();
+  syncUrlState();
+};
+
+// Shows the timeline only when the lineage has graduation years, keeping the chosen year
+// when it still falls inside the new range.
+const renderTimeline = () => {
+  stopTimelinePlayback();
+  const { timeline } = state;
+  elements.graphTimeline.hidden = !timeline;
+  if (!timeline) {
+    state.timelineYear = null;
+    return;
+  }
+  elements.timelineRange.min = String(timeline.min);
+  elements.timelineRange.max = String(timeline.max);
+  setTimelineYear(state.timelineYear);
+};
+
+const stopTimelinePlayback = () => {
+  clearTimeout(timelinePlayTimeout);
+  timelinePlayTimeout = null;
+  elements.timelinePlay.textContent = "Play";
+  elements.timelinePlay.setAttribute("aria-pressed", "false");
+};
+
+// Plays the lineage's growth a decade at a time, from the first graduation to the present.
+const toggleTimelinePlayback = () => {
+  if (timelinePlayTimeout) {
+    stopTimelinePlayback();
+    return;
+  }
+  const advance = () => {
+    const year = state.timelineYear;
+    setTimelineYear((Math.floor(year / TIMELINE_STEP_YEARS) + 1) * TIMELINE_STEP_YEARS);
+    if (state.timelineYear === null) stopTimelinePlayback();
+    else timelinePlayTimeout = window.setTimeout(advance, TIMELINE_STEP_MS);
+  };
+  if (state.timelineYear === null) setTimelineYear(state.timeline.min);
+  elements.timelinePlay.textContent = "Pause";
+  elements.timelinePlay.setAttribute("aria-pressed", "true");
+  timelinePlayTimeout = window.setTimeout(advance, TIMELINE_STEP_MS);
+};
+
+const handleTimelineInput = () => {
+  stopTimelinePlayback();
+  setTimelineYear(Number(elements.timelineRange.value));
+};
+
+// Registrable-domain aliases for organisations that mail from more than one domain.
+const INSTITUTION_DOMAIN_ALIASES = {
+  "fb.com": "meta.com",
+  "facebook.com": "meta.com",
+  "hkust.edu.hk": "ust.hk",
+  "hkust.edu": "ust.hk",
+  "uw.edu": "washington.edu",
+  "postech.edu": "postech.ac.kr",
+};
+const SECOND_LEVEL_LABELS = new Set(["ac", "co", "com", "edu", "gov", "net", "org"]);
+const ACADEMIC_NAME_PATTERN = /universi|college|polytechnic|politecnico|[ée]cole/i;
+const RESEARCH_NAME_PATTERN = /institute|laborator|foundation|research cent(er|re)/i;
+const SECTOR_LABELS = {
+  academia: "Academia",
+  industry: "Industry",
+  research: "Research institutes & nonprofits",
+  unknown: "Not listed",
+};
+const BRANCH_COLOR_LIMIT = 9;
+const OTHER_SEGMENT_COLOR = "#c5ccd9";
+
+// "cs.stanford.edu" → "stanford.edu", "cse.ust.hk" → "ust.hk", "ox.ac.uk" stays whole.
+const registrableDomain = (domain) => {
+  const labels = String(domain).toLowerCase().replace(/^www\./, "").split(".").filter(Boolean);
+  const [secondLevel, topLevel] = labels.slice(-2);
+  const keep = labels.length > 2 && topLevel.length === 2 && SECOND_LEVEL_LABELS.has(secondLevel) ? 3 : 2;
+  const registrable = labels.slice(-keep).join(".");
+  return INSTITUTION_DOMAIN_ALIASES[registrable] ?? registrable;
+};
+
+// Drops department prefixes: "Computer Science Department, Stanford University" → "Stanford University".
+const cleanInstitutionName = (name) =>
+  String(name)
+    .replace(/^(?:(?:department|dept\.?|school|faculty) of [^,]+|[^,]*\b(?:department|school)),\s*/i, "")
+    .trim();
+
+const classifySector = (domain, name) => {
+  if (!domain && !name) return "unknown";
+  const [secondLevel, topLevel] = (domain ?? "").split(".").slice(-2);
+  if (topLevel === "edu" || secondLevel === "edu" || secondLevel === "ac" || ACADEMIC_NAME_PATTERN.test(name ?? "")) {
+    return "academia";
+  }
+  if (topLevel === "gov" || secondLevel === "gov" || topLevel === "org" || RESEARCH_NAME_PATTERN.test(name ?? "")) {
+    return "research";
+  }
+  return domain ? "industry" : "unknown";
+};
+
+const countryName = (() => {
+  const displayNames = typeof Intl.DisplayNames === "function" ? new Intl.DisplayNames(undefined, { type: "region" }) : null;
+  return (code) => {
+    if (!code || code === "unknown") return "Not listed";
+    try {
+      return displayNames?.of(code) ?? code;
+    } catch {
+      return code;
+    }
+  };
+})();
+
+// Where each person is now and which first-generation branch they descend from. People
+// with several advisors count toward the branch reached first from the root.
+const buildCareerIndex = (nodes) => {
+  const branchById = new Map([[state.rootId, state.rootId]]);
+  const childrenByParent = d3.group(state.edges, (edge) => edge.from);
+  const queue = [state.rootId];
+  for (let index = 0; index < queue.length; index += 1) {
+    const parentId = queue[index];
+    (childrenByParent.get(parentId) || []).forEach((edge) => {
+      if (branchById.has(edge.to)) return;
+      branchById.set(edge.to, parentId === state.rootId ? edge.to : branchById.get(parentId));
+      queue.push(edge.to);
+    });
+  }
+
+  const namesByInstitution = new Map();
+  const careers = nodes.map((node) => {
+    const domain = node.affiliation_domain ? node.affiliation_domain.toLowerCase() : null;
+    const name = node.affiliation_name ? cleanInstitutionName(node.affiliation_name) : null;
+    const institutionKey = domain
+      ? registrableDomain(domain)
+      : name
+        ? `~${normalizeSearchText(name).replace(/[^a-z0-9]+/g, "-")}`
+        : null;
+    if (institutionKey && name) {
+      if (!namesByInstitution.has(institutionKey)) namesByInstitution.set(institutionKey, new Map());
+      const counts = namesByInstitution.get(institutionKey);
+      counts.set(name, (counts.get(name) ?? 0) + 1);
+    }
+    return [
+      node.id,
+      {
+        institutionKey,
+        domain,
+        sector: classifySector(domain, name),
+        country: node.affiliation_country ?? node.affiliation?.country ?? "unknown",
+        branchId: branchById.get(node.id) ?? state.rootId,
+      },
+    ];
+  });
+
+  // The most common spelling labels the institution; ties go to the shorter name.
+  const labels = new Map();
+  namesByInstitution.forEach((counts, key) => {
+    const [label] = Array.from(counts).sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0];
+    labels.set(key, label);
+  });
+  return new Map(
+    careers.map(([id, career]) => [
+      id,
+      { ...career, institutionLabel: labels.get(career.institutionKey) ?? career.domain ?? null },
+    ])
+  );
+};
+
+const ANALYTICS_DIMENSIONS = {
+  institution: {
+    title: "Institution",
+    limit: 12,
+    value: (career) => career.institutionKey,
+    label: (key, career) => career?.institutionLabel ?? key,
+  },
+  domain: {
+    title: "Email domain",
+    limit: 12,
+    value: (career) => career.domain,
+    label: (key) => key,
+  },
+  sector: {
+    title: "Academia vs industry",
+    limit: 4,
+    value: (career) => career.sector,
+    label: (key) => SECTOR_LABELS[key] ?? key,
+  },
+  country: {
+    title: "Country",
+    limit: 12,
+    value: (career) => career.country,
+    label: (key) => countryName(key),
+  },
+};
+
+const matchesFacet = (node) => {
+  const facet = state.facet;
+  if (!facet) return true;
+  const career = state.careerById.get(node.id);
+  if (!career || ANALYTICS_DIMENSIONS[facet.dimension].value(career) !== facet.key) return false;
+  if (!facet.segment) return true;
+  return facet.segment.kind === "gen"
+    ? String(node.depth) === facet.segment.key
+    : career.branchId === facet.segment.key;
+};
+
+const nodeNameById = (nodeId) => state.nodes.find((node) => node.id === nodeId)?.name ?? nodeId;
+
+const describeFacet = (facet) => {
+  const dimension = ANALYTICS_DIMENSIONS[facet.dimension];
+  const sample = Array.from(state.careerById.values()).find((career) => dimension.value(career) === facet.key);
+  const parts = [`${dimension.title}: ${dimension.label(facet.key, sample)}`];
+  if (facet.segment?.kind === "gen") parts.push(`Generation ${facet.segment.key}`);
+  if (facet.segment?.kind === "branch") parts.push(`${nodeNameById(facet.segment.key)} branch`);
+  return parts.join(" · ");
+};
+
+const formatFacetParam = (facet) => {
+  if (!facet) return null;
+  const base = `${facet.dimension}:${facet.key}`;
+  return facet.segment ? `${base},${facet.segment.kind}:${facet.segment.key}` : base;
+};
+
+const parseFacetParam = (value) => {
+  if (!value) return null;
+  const [main, segment] = value.split(",");
+  const split = (part) => {
+    const index = part.indexOf(":");
+    return index > 0 ? [part.slice(0, index), part.slice(index + 1)] : [null, null];
+  };
+  const [dimension, key] = split(main);
+  if (!ANALYTICS_DIMENSIONS[dimension] || !key) return null;
+  const [kind, segmentKey] = segment ? split(segment) : [null, null];
+  return {
+    dimension,
+    key,
+    segment: (kind === "gen" || kind === "branch") && segmentKey ? { kind, key: segmentKey } : null,
+  };
+};
+
+const isSameFacet = (a, b) =>
+  Boolean(a && b) && a.dimension === b.dimension && a.key === b.key && a.segment?.kind === b.segment?.kind &&
+  a.segment?.key === b.segment?.key;
+
+const setFacet = (facet) => {
+  state.facet = isSameFacet(facet, state.facet) ? null : facet;
+  handleFiltersChanged();
+  renderAnalytics();
+  syncUrlState({ push: true });
+};
+
+const renderFacetChip = () => {
+  elements.facetChip.hidden = !state.facet;
+  elements.facetChipLabel.textContent = state.facet ? describeFacet(state.facet) : "";
+};
+
+// Segment definitions for the chosen breakdown: one per generation, or the largest
+// first-generation branches with the rest pooled as "Other branches".
+const buildAnalyticsSegments = (people, breakdown) => {
+  if (breakdown === "gen") {
+    const depths = Array.from(new Set(people.map((node) => node.depth))).sort((a, b) => a - b);
+    return {
+      keyOf: (node) => String(node.depth),
+      segments: depths.map((depth) => ({ key: String(depth), label: depthLabel(depth), color: pickDepthColor(depth) })),
+    };
+  }
+  if (breakdown === "branch") {
+    const sizes = d3.rollup(
+      people,
+      (group) => group.length,
+      (node) => state.careerById.get(node.id).branchId
+    );
+    const ranked = Array.from(sizes)
+      .filter(([branchId]) => branchId !== state.rootId)
+      .sort((a, b) => b[1] - a[1]);
+    const named = ranked.slice(0, BRANCH_COLOR_LIMIT).map(([branchId], index) => ({
+      key: branchId,
+      label: nodeNameById(branchId),
+      color: CATEGORY_PALETTE[index],
+    }));
+    const namedKeys = new Set(named.map((segment) => segment.key));
+    return {
+      keyOf: (node) => {
+        const branchId = state.careerById.get(node.id).branchId;
+        return namedKeys.has(branchId) ? branchId : "other";
+      },
+      segments: [...named, { key: "other", label: "Other branches and the root", color: OTHER_SEGMENT_COLOR }],
+    };
+  }
+  return { keyOf: () => "all", segments: [{ key: "all", label: "People", color: "#345CFF" }] };
+};
+
+const renderAnalyticsChart = (container, dimensionKey, people, breakdown) => {
+  const dimension = ANALYTICS_DIMENSIONS[dimensionKey];
+  const { keyOf, segments } = breakdown;
+  const grouped = d3.group(people, (node) => dimension.value(state.careerById.get(node.id)));
+  const unlisted = (grouped.get(null)?.length ?? 0) + (grouped.get(undefined)?.length ?? 0);
+  const rows = Array.from(grouped)
+    .filter(([key]) => key !== null && key !== undefined)
+    .map(([key, members]) => {
+      const counts = d3.rollup(members, (group) => group.length, keyOf);
+      let offset = 0;
+      return {
+        key,
+        label: dimension.label(key, state.careerById.get(members[0].id)),
+        total: members.length,
+        segments: segments
+          .filter((segment) => counts.get(segment.key))
+          .map((segment) => {
+            const count = counts.get(segment.key);
+            const start = offset;
+            offset += count;
+            return { ...segment, count, start };
+          }),
+      };
+    })
+    .sort((a, b) => b.total - a.total || a.label.localeCompare(b.label));
+  const shown = rows.slice(0, dimension.limit);
+  const hiddenRows = rows.slice(dimension.limit);
+
+  const width = 460;
+  const labelWidth = 170;
+  const rowHeight = 24;
+  const barHeight = 15;
+  const height = Math.max(1, shown.length) * rowHeight;
+  const x = d3
+    .scaleLinear()
+    .domain([0, d3.max(shown, (row) => row.total) ?? 1])
+    .range([0, width - labelWidth - 36]);
+  const facet = state.facet?.dimension === dimensionKey ? state.facet : null;
+  const segmentKind = elements.analyticsBreakdown.value;
+
+  const figure = d3.select(container);
+  figure.selectAll("*").remove();
+  figure.append("figcaption").text(dimension.title);
+  const svg = figure
+    .append("svg")
+    .attr("class", "analytics-chart-svg")
+    .attr("viewBox", `0 0 ${width} ${height}`)
+    .attr("role", "list")
+    .attr("aria-label", `${dimension.title} breakdown`);
+
+  const row = svg
+    .selectAll("g.analytics-row")
+    .data(shown, (entry) => entry.key)
+    .join("g")
+    .attr("class", "analytics-row")
+    .classed("is-active", (entry) => facet?.key === entry.key)
+    .classed("is-muted", (entry) => Boolean(facet) && facet.key !== entry.key)
+    .attr("transform", (entry, index) => `translate(0, ${index * rowHeight})`)
+    .attr("tabindex", 0)
+    .attr("role", "button")
+    .attr("aria-label", (entry) => `${entry.label}: ${formatNumber(entry.total)} ${entry.total === 1 ? "person" : "people"}`)
+    .on("click", (event, entry) => setFacet({ dimension: dimensionKey, key: entry.key, segment: null }))
+    .on("keydown", (event, entry) => {
+      if (event.key !== "Enter" && event.key !== " ") return;
+      event.preventDefault();
+      setFacet({ dimension: dimensionKey, key: entry.key, segment: null });
+    });
+
+  row
+    .append("rect")
+    .attr("class", "analytics-row-hit")
+    .attr("width", width)
+    .attr("height", rowHeight);
+  row
+    .append("text")
+    .attr("class", "analytics-row-label")
+    .attr("x", labelWidth - 8)
+    .attr("y", rowHeight / 2)
+    .attr("dy", "0.35em")
+    .attr("text-anchor", "end")
+    .text((entry) => (entry.label.length > 26 ? `${entry.label.slice(0, 25)}…` : entry.label))
+    .append("title")
+    .text((entry) => entry.label);
+  row
+    .selectAll("rect.analytics-segment")
+    .data((entry) => entry.segments.map((segment) => ({ ...segment, row: entry })))
+    .join("rect")
+    .attr("class", "analytics-segment")
+    .classed(
+      "is-active",
+      (segment) => facet?.key === segment.row.key && facet.segment?.key === segment.key
+    )
+    .attr("x", (segment) => labelWidth + x(segment.start))
+    .attr("y", (rowHeight - barHeight) / 2)
+    .attr("width", (segment) => Math.max(1, x(segment.count) - 1))
+    .attr("height", barHeight)
+    .attr("fill", (segment) => segment.color)
+    .on("click", (event, segment) => {
+      event.stopPropagation();
+      // Pooled segments have no single key to filter on, so they select the whole bar.
+      const segmentFilter =
+        segmentKind === "none" || segment.key === "other" ? null : { kind: segmentKind, key: segment.key };
+      setFacet({ dimension: dimensionKey, key: segment.row.key, segment: segmentFilter });
+    })
+    .append("title")
+    .text((segment) => `${segment.row.label} · ${segment.label}: ${formatNumber(segment.count)}`);
+  row
+    .append("text")
+    .attr("class", "analytics-row-value")
+    .attr("x", (entry) => labelWidth + x(entry.total) + 6)
+    .attr("y", rowHeight / 2)
+    .attr("dy", "0.35em")
+    .text((entry) => formatNumber(entry.total));
+
+  const notes = [];
+  if (hiddenRows.length) {
+    notes.push(
+      `+${formatNumber(hiddenRows.length)} more (${formatNumber(d3.sum(hiddenRows, (entry) => entry.total))} people)`
+    );
+  }
+  if (unlisted) notes.push(`${formatNumber(unlisted)} without this field`);
+  if (notes.length) figure.append("p").attr("class", "analytics-note").text(notes.join(" · "));
+};
+
+const renderAnalytics = () => {
+  if (!elements.analyticsPanel.open || !state.data) return;
+  const people = state.nodes.filter((node) => !node.isGhost);
+  const breakdown = buildAnalyticsSegments(people, elements.analyticsBreakdown.value);
+  elements.analyticsCharts.querySelectorAll("[data-dimension]").forEach((container) => {
+    renderAnalyticsChart(container, container.dataset.dimension, people, breakdown);
+  });
+  elements.analyticsLegend.innerHTML = "";
+  if (elements.analyticsBreakdown.value === "none") return;
+  breakdown.segments.forEach((segment) => {
+    const item = document.createElement("li");
+    const swatch = document.createElement("span");
+    swatch.className = "analytics-swatch";
+    swatch.style.background = segment.color;
+    item.append(swatch, segment.label);
+    elements.analyticsLegend.appendChild(item);
+  });
+};
+
+const openAnalyticsPanel = () => {
+  elements.analyticsPanel.open = true;
+  elements.analyticsPanel.scrollIntoView({ behavior: "smooth", block: "start" });
+};
+
+const TOPIC_ROW_LIMIT = 15;
+const TOPIC_DRIFT_DROPPED_LIMIT = 4;
+
+const topicLabel = (topicKey) => state.topicLabels.get(topicKey) ?? topicKey;
+
+const searchForTopic = (topicKey) => {
+  elements.searchInput.value = `keyword:"${topicLabel(topicKey).replace(/"/g, "")}"`;
+  handleFiltersChanged();
+  syncUrlState({ push: true });
+};
+
+// Share of the people in each generation or branch who list each of the most common topics.
+// Only people with at least one keyword count toward a column's total.
+const renderTopicHeatmap = (people) => {
+  const breakdown = buildAnalyticsSegments(people, elements.topicsBreakdown.value);
+  const columns = breakdown.segments
+    .map((segment) => {
+      const members = people.filter((node) => breakdown.keyOf(node) === segment.key && node.topicKeys.length);
+      const counts = d3.rollup(
+        members.flatMap((node) => node.topicKeys),
+        (keys) => keys.length,
+        (key) => key
+      );
+      return { ...segment, counts, total: members.length };
+    })
+    .filter((column) => column.total > 0);
+  const overall = d3.rollup(
+    people.flatMap((node) => node.topicKeys),
+    (keys) => keys.length,
+    (key) => key
+  );
+  const listed = people.filter((node) => node.topicKeys.length).length;
+  const rows = Array.from(overall)
+    .sort((a, b) => b[1] - a[1] || d3.ascending(topicLabel(a[0]), topicLabel(b[0])))
+    .slice(0, TOPIC_ROW_LIMIT);
+
+  elements.topicsHeatmap.innerHTML = "";
+  if (!rows.length) {
+    elements.topicsHeatmap.textContent = "No one in this lineage lists research keywords.";
+    return;
+  }
+  const maxShare = d3.max(rows, ([topicKey]) =>
+    d3.max(columns, (column) => (column.counts.get(topicKey) ?? 0) / column.total)
+  );
+  const color = d3.scaleSequential(d3.interpolateBlues).domain([0, maxShare * 1.15]);
+
+  const table = document.createElement("table");
+  table.className = "topics-table";
+  const headerRow = table.createTHead().insertRow();
+  const addHeader = (text, title) => {
+    const cell = document.createElement("th");
+    cell.scope = "col";
+    cell.textContent = text;
+    if (title) cell.title = title;
+    headerRow.appendChild(cell);
+  };
+  addHeader("Topic");
+  addHeader("People", `${formatNumber(listed)} people list research keywords`);
+  columns.forEach((column) =>
+    addHeader(
+      elements.topicsBreakdown.value === "gen" ? `Gen ${column.key}` : column.label,
+      `${column.label}: ${formatNumber(column.total)} people with keywords`
+    )
+  );
+
+  const body = table.createTBody();
+  rows.forEach(([topicKey, count]) => {
+    const row = body.insertRow();
+    const heading = document.createElement("th");
+    heading.scope = "row";
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "link-button";
+    button.textContent = topicLabel(topicKey);
+    button.title = `Search for people listing ${topicLabel(topicKey)}`;
+    button.addEventListener("click", () => searchForTopic(topicKey));
+    heading.appendChild(button);
+    row.appendChild(heading);
+    row.insertCell().textContent = formatNumber(count);
+    columns.forEach((column) => {
+      const cell = row.insertCell();
+      const value = column.counts.get(topicKey) ?? 0;
+      const share = value / column.total;
+      cell.className = "topics-cell";
+      cell.textContent = value ? `${Math.round(share * 100)}%` : "";
+      cell.style.background = value ? color(share) : "";
+      cell.classList.toggle("is-strong", share > maxShare * 0.6);
+      cell.title = `${column.label}: ${formatNumber(value)} of ${formatNumber(column.total)} people`;
+    });
+  });
+  elements.topicsHeatmap.appendChild(table);
+};
+
+const buildTopicTag = (topicKey, className) => {
+  const tag = document.createElement("span");
+  tag.className = `tag topic-tag ${className}`;
+  tag.textContent = topicLabel(topicKey);
+  return tag;
+};
+
+// Follows the advisor chain from the current root to the selected person and marks which
+// topics each student shares with their advisor and which are new to the chain.
+const renderTopicDrift = () => {
+  const path = state.selectedNodeId ? findAdvisorPath(state.rootId, state.selectedNodeId, state.edges) : null;
+  elements.topicsDriftPath.innerHTML = "";
+  elements.topicsDriftLegend.hidden = true;
+  if (!path || path.length < 2) {
+    elements.topicsDriftHint.textContent = `Select someone below ${state.rootName} to follow how research topics change from advisor to student.`;
+    return;
+  }
+  const nodeById = new Map(state.nodes.map((node) => [node.id, node]));
+  const steps = path.map((nodeId) => nodeById.get(nodeId));
+  const withTopics = steps.filter((node) => node.topicKeys.length);
+  const sharedByAll =
+    withTopics.length > 1
+      ? withTopics[0].topicKeys.filter((topicKey) => withTopics.every((node) => node.topicKeys.includes(topicKey)))
+      : [];
+  elements.topicsDriftHint.textContent = sharedByAll.length
+    ? `Listed at every step with keywords: ${sharedByAll.map(topicLabel).join(", ")}.`
+    : "";
+  elements.topicsDriftLegend.hidden = false;
+
+  const seen = new Set();
+  steps.forEach((node, index) => {
+    const advisor = index > 0 ? steps[index - 1] : null;
+    const item = document.createElement("li");
+    const header = document.createElement("div");
+    header.className = "topics-drift-header";
+    const name = document.createElement("button");
+    name.type = "button";
+    name.className = "link-button";
+    name.textContent = node.name;
+    name.addEventListener("click", () => selectNode(node.id, { focus: true }));
+    const meta = document.createElement("span");
+    const details = [depthLabel(node.depth)];
+    if (advisor && node.topicKeys.length && advisor.topicKeys.length) {
+      const shared = node.topicKeys.filter((topicKey) => advisor.topicKeys.includes(topicKey)).length;
+      details.push(`shares ${formatNumber(shared)} of ${formatNumber(node.topicKeys.length)} with advisor`);
+    }
+    meta.textContent = details.join(" · ");
+    header.append(name, meta);
+    item.appendChild(header);
+
+    const tags = document.createElement("div");
+    tags.className = "topics-drift-tags";
+    if (!node.topicKeys.length) {
+      tags.textContent = "No research keywords listed.";
+    }
+    node.topicKeys.forEach((topicKey) => {
+      let status = "is-returning";
+      if (advisor?.topicKeys.includes(topicKey)) status = "is-inherited";
+      else if (!seen.has(topicKey)) status = "is-new";
+      tags.appendChild(buildTopicTag(topicKey, status));
+    });
+    item.appendChild(tags);
+    if (advisor && node.topicKeys.length) {
+      const dropped = advisor.topicKeys.filter((topicKey) => !node.topicKeys.includes(topicKey));
+      if (dropped.length) {
+        const note = document.createElement("p");
+        note.className = "topics-drift-dropped";
+        const shown = dropped.slice(0, TOPIC_DRIFT_DROPPED_LIMIT).map(topicLabel);
+        if (dropped.length > shown.length) shown.push(`${formatNumber(dropped.length - shown.length)} more`);
+        note.textContent = `Not carried over: ${shown.join(", ")}`;
+        item.appendChild(note);
+      }
+    }
+    node.topicKeys.forEach((topicKey) => seen.add(topicKey));
+    elements.topicsDriftPath.appendChild(item);
+  });
+};
+
+const renderTopics = () => {
+  if (!elements.topicsPanel.open || !state.data) return;
+  // The root would be a one-person column, so the table covers descendants only.
+  renderTopicHeatmap(state.nodes.filter((node) => !node.isGhost && node.id !== state.rootId));
+  renderTopicDrift();
+};
+
+const ORDINAL_WORDS = ["first", "second", "third", "fourth", "fifth", "sixth", "seventh", "eighth", "ninth"];
+
+const ordinalWord = (value) => ORDINAL_WORDS[value - 1] ?? `${value}th`;
+
+const greatPrefix = (count) => {
+  if (count <= 0) return "";
+  if (count === 1) return "great-";
+  if (count === 2) return "great-great-";
+  return `${count}× great-`;
+};
+
+// Every advisor above `nodeId`, with the fewest generations needed to reach each one.
+const collectAncestors = (nodeId) => {
+  const distances = new Map([[nodeId, 0]]);
+  const queue = [nodeId];
+  while (queue.length) {
+    const current = queue.shift();
+    getParents(current).forEach((parent) => {
+      if (distances.has(parent)) return;
+      distances.set(parent, distances.get(current) + 1);
+      queue.push(parent);
+    });
+  }
+  return distances;
+};
+
+// Names the relationship of `a` to `b` from how many generations each sits below their
+// closest shared ancestor.
+const describeRelationship = (fromA, fromB) => {
+  if (fromA === 0 && fromB === 0) return "the same person";
+  if (fromA === 0) {
+    if (fromB === 1) return "PhD advisor";
+    return `academic ${greatPrefix(fromB - 2)}grandparent`;
+  }
+  if (fromB === 0) {
+    if (fromA === 1) return "PhD student";
+    return `academic ${greatPrefix(fromA - 2)}grandchild`;
+  }
+  if (fromA === 1 && fromB === 1) return "academic sibling";
+  if (fromA === 1) return `academic ${greatPrefix(fromB - 2)}aunt/uncle`;
+  if (fromB === 1) return `academic ${greatPrefix(fromA - 2)}niece/nephew`;
+  const removed = Math.abs(fromA - fromB);
+  const cousin = `academic ${ordinalWord(Math.min(fromA, fromB) - 1)} cousin`;
+  if (!removed) return cousin;
+  if (removed === 1) return `${cousin} once removed`;
+  if (removed === 2) return `${cousin} twice removed`;
+  return `${cousin} ${removed} times removed`;
+};
+
+// The closest shared ancestors of two people. Co-advised students can have several that
+// are not ancestors of one another, so all of them are returned, nearest first.
+const findCommonAncestors = (aId, bId) => {
+  const aboveA = collectAncestors(aId);
+  const aboveB = collectAncestors(bId);
+  const common = Array.from(aboveA.keys()).filter((nodeId) => aboveB.has(nodeId));
+  const covered = new Set();
+  common.forEach((nodeId) => {
+    collectAncestors(nodeId).forEach((distance, ancestorId) => {
+      if (ancestorId !== nodeId) covered.add(ancestorId);
+    });
+  });
+  const candidates = common.map((nodeId) => ({ id: nodeId, fromA: aboveA.get(nodeId), fromB: aboveB.get(nodeId) }));
+  let lowest = candidates.filter((candidate) => !covered.has(candidate.id));
+  // An advising cycle makes every shared ancestor look covered; keep the nearest ones instead.
+  if (!lowest.length && candidates.length) {
+    const nearest = d3.min(candidates, (candidate) => candidate.fromA + candidate.fromB);
+    lowest = candidates.filter((candidate) => candidate.fromA + candidate.fromB === nearest);
+  }
+  return lowest.sort(
+    (x, y) => x.fromA + x.fromB - (y.fromA + y.fromB) || Math.abs(x.fromA - x.fromB) - Math.abs(y.fromA - y.fromB)
+  );
+};
+
+// Every advisor path from `ancestorId` down to `nodeId`, plus one shortest chain for display.
+const collectAdvisorPaths = (ancestorId, nodeId) => {
+  const above = collectAncestors(nodeId);
+  const nodes = new Set([ancestorId]);
+  const edges = new Set();
+  const previous = new Map();
+  const queue = [ancestorId];
+  while (queue.length) {
+    const current = queue.shift();
+    (graphState.childrenByParent.get(current) || []).forEach((child) => {
+      if (!above.has(child) || child === ancestorId) return;
+      edges.add(edgeKey(current, child));
+      if (nodes.has(child)) return;
+      nodes.add(child);
+      previous.set(child, current);
+      queue.push(child);
+    });
+  }
+  const chain = [nodeId];
+  while (chain[0] !== ancestorId && previous.has(chain[0])) chain.unshift(previous.get(chain[0]));
+  const branching = Array.from(nodes).some(
+    (id) => id !== ancestorId && getParents(id).filter((parent) => nodes.has(parent)).length > 1
+  );
+  return { nodes, edges, chain, branching };
+};
+
+const nodeOptionLabel = (node) => (node.affiliation_name ? `${node.name} (${node.affiliation_name})` : node.name);
+
+const populateRelationOptions = () => {
+  const people = state.nodes.filter((node) => !node.isGhost && graphState.nodesById.has(node.id));
+  const byDepth = d3.groups(people, (node) => node.depth).sort((a, b) => a[0] - b[0]);
+  [elements.relationA, elements.relationB].forEach((select) => {
+    const previous = select.value;
+    select.innerHTML = "";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "Choose someone…";
+    select.appendChild(placeholder);
+    byDepth.forEach(([depth, members]) => {
+      const group = document.createElement("optgroup");
+      group.label = depthLabel(depth);
+      members
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach((node) => {
+          const option = document.createElement("option");
+          option.value = node.id;
+          option.textContent = nodeOptionLabel(node);
+          group.appendChild(option);
+        });
+      select.appendChild(group);
+    });
+    select.value = graphState.nodesById.has(previous) ? previous : "";
+  });
+  elements.relationResult.innerHTML = "";
+};
+
+const buildRelationChain = (chain) => {
+  const line = document.createElement("p");
+  line.className = "relation-chain";
+  chain.forEach((nodeId, index) => {
+    if (index > 0) line.append("→");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "link-button";
+    button.textContent = graphState.nodesById.get(nodeId)?.name ?? nodeId;
+    button.addEventListener("click", () => selectNode(nodeId, { focus: true }));
+    line.appendChild(button);
+  });
+  return line;
+};
+
+const showRelationship = (aId, bId) => {
+  const result = elements.relationResult;
+  result.innerHTML = "";
+  const a = graphState.nodesById.get(aId);
+  const b = graphState.nodesById.get(bId);
+  if (!a || !b) return;
+  const summary = document.createElement("p");
+  summary.className = "relation-summary";
+  result.appendChild(summary);
+  if (aId === bId) {
+    summary.textContent = "Pick two different people.";
+    return;
+  }
+  const ancestors = findCommonAncestors(aId, bId);
+  if (!ancestors.length) {
+    summary.textContent = `${a.name} and ${b.name} share no academic ancestor in this lineage.`;
+    clearLineageHighlight();
+    drawMapOverlays();
+    return;
+  }
+  const [closest] = ancestors;
+  const relation = describeRelationship(closest.fromA, closest.fromB);
+  if (closest.fromA === 1 && closest.fromB === 1) {
+    summary.textContent = `${a.name} and ${b.name} are academic siblings.`;
+  } else {
+    summary.textContent = `${a.name} is ${b.name}'s ${relation}.`;
+  }
+
+  const lineageNodes = new Set();
+  const lineageEdges = new Set();
+  const list = document.createElement("ul");
+  list.className = "relation-ancestors";
+  ancestors.forEach((ancestor, index) => {
+    const ancestorName = graphState.nodesById.get(ancestor.id)?.name ?? ancestor.id;
+    const item = document.createElement("li");
+    const heading = document.createElement("h3");
+    const pathLabel = (name, steps) => `${name} is ${formatNumber(steps)} generation${steps === 1 ? "" : "s"} below`;
+    heading.textContent = `${index === 0 ? "Closest shared ancestor" : "Also related through"}: ${ancestorName}`;
+    item.appendChild(heading);
+    const note = document.createElement("p");
+    note.className = "panel-hint";
+    const parts = [];
+    if (ancestor.fromA) parts.push(pathLabel(a.name, ancestor.fromA));
+    if (ancestor.fromB) parts.push(pathLabel(b.name, ancestor.fromB));
+    const also = index > 0 ? `, so ${a.name} is also ${b.name}'s ${describeRelationship(ancestor.fromA, ancestor.fromB)}` : "";
+    note.textContent = `${parts.join("; ")}${also}.`;
+    item.appendChild(note);
+    [aId, bId].forEach((nodeId) => {
+      const paths = collectAdvisorPaths(ancestor.id, nodeId);
+      paths.nodes.forEach((id) => lineageNodes.add(id));
+      paths.edges.forEach((key) => lineageEdges.add(key));
+      if (paths.chain.length > 1) item.appendChild(buildRelationChain(paths.chain));
+      if (paths.branching) {
+        const branching = document.createElement("p");
+        branching.className = "panel-hint";
+        branching.textContent = `Co-advising gives ${graphState.nodesById.get(nodeId).name} more than one path from ${ancestorName}; all are highlighted.`;
+        item.appendChild(branching);
+      }
+    });
+    list.appendChild(item);
+  });
+  result.appendChild(list);
+
+  graphState.lineageNodes = lineageNodes;
+  graphState.lineageEdges = lineageEdges;
+  applyLineageClasses();
+  drawMapOverlays();
+};
+
+const handleRelationSubmit = (event) => {
+  event.preventDefault();
+  showRelationship(elements.relationA.value, elements.relationB.value);
+};
+
+const handleRelationSwap = () => {
+  const { value } = elements.relationA;
+  elements.relationA.value = elements.relationB.value;
+  elements.relationB.value = value;
+  if (elements.relationA.value && elements.relationB.value) {
+    showRelationship(elements.relationA.value, elements.relationB.value);
+  }
+};
+
+// Opening the panel starts from whoever is selected, which is usually one of the two people.
+const handleRelationPanelToggle = () => {
+  if (!elements.relationPanel.open || elements.relationA.value) return;
+  if (graphState.nodesById.has(state.selectedNodeId)) elements.relationA.value = state.selectedNodeId;
+};
+
+const COMPARISON_LIMIT = 5;
+const COMPARISON_NAME_LIMIT = 6;
+
+const collectDescendants = (nodeId) => {
+  const seen = new Set([nodeId]);
+  const queue = [nodeId];
+  while (queue.length) {
+    (graphState.childrenByParent.get(queue.shift()) || []).forEach((child) => {
+      if (seen.has(child)) return;
+      seen.add(child);
+      queue.push(child);
+    });
+  }
+  return seen;
+};
+
+const applyComparisonClasses = () => {
+  const compared = new Set(state.comparisonIds);
+  graphState.nodeSelection?.classed("compared", (node) => compared.has(node.id));
+  graphState.nodeSelection?.filter((node) => compared.has(node.id)).raise();
+  elements.rosterList.querySelectorAll("li").forEach((item) => {
+    item.classList.toggle("compared", compared.has(item.dataset.id));
+  });
+};
+
+// Shift-click adds people to the comparison. The first one also brings in whoever is
+// selected, so shift-clicking a second person compares the two.
+const toggleComparison = (nodeId) => {
+  if (!graphState.nodesById.has(nodeId)) return;
+  const ids = state.comparisonIds;
+  elements.comparisonStatus.textContent = "";
+  if (ids.includes(nodeId)) {
+    ids.splice(ids.indexOf(nodeId), 1);
+  } else {
+    if (!ids.length && state.selectedNodeId !== nodeId && graphState.nodesById.has(state.selectedNodeId)) {
+      ids.push(state.selectedNodeId);
+    }
+    if (ids.length >= COMPARISON_LIMIT) {
+      elements.comparisonStatus.textContent = `You can compare up to ${COMPARISON_LIMIT} people. Remove someone first.`;
+    } else {
+      ids.push(nodeId);
+      revealNode(nodeId);
+    }
+  }
+  renderComparison();
+};
+
+const clearComparison = () => {
+  state.comparisonIds = [];
+  elements.comparisonStatus.textContent = "";
+  renderComparison();
+};
+
+const listNames = (nodeIds) => {
+  const names = nodeIds.slice(0, COMPARISON_NAME_LIMIT).map((nodeId) => graphState.nodesById.get(nodeId).name);
+  if (nodeIds.length > names.length) names.push(`${formatNumber(nodeIds.length - names.length)} more`);
+  return names.join(", ");
+};
+
+const buildComparisonTable = (people) => {
+  const topicCounts = d3.rollup(
+    people.flatMap((node) => node.topicKeys),
+    (keys) => keys.length,
+    (key) => key
+  );
+  const tagCell = (topicKeys) => {
+    const cell = document.createElement("td");
+    if (!topicKeys.length) cell.textContent = "—";
+    topicKeys.forEach((topicKey) => cell.appendChild(buildTopicTag(topicKey, "")));
+    return cell;
+  };
+  const rows = [
+    ["Generation", (node) => depthLabel(node.depth)],
+    ["Affiliation", (node) => node.affiliationDisplay],
+    ["Direct PhD students", (node) => formatNumber(node.direct_advisee_count)],
+    ["Extended PhD lineage", (node) => formatNumber(node.total_descendants)],
+    ["Shared topics", (node) => tagCell(node.topicKeys.filter((topicKey) => topicCounts.get(topicKey) > 1))],
+    ["Unique topics", (node) => tagCell(node.topicKeys.filter((topicKey) => topicCounts.get(topicKey) === 1))],
+  ];
+
+  const table = document.createElement("table");
+  table.className = "comparison-table";
+  const headRow = table.createTHead().insertRow();
+  headRow.appendChild(document.createElement("td"));
+  people.forEach((node) => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    const name = document.createElement("button");
+    name.type = "button";
+    name.className = "link-button";
+    name.textContent = node.name;
+    name.addEventListener("click", () => selectNode(node.id, { focus: true }));
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "facet-chip-clear";
+    remove.textContent = "×";
+    remove.setAttribute("aria-label", `Remove ${node.name} from the comparison`);
+    remove.addEventListener("click", () => toggleComparison(node.id));
+    th.append(name, remove);
+    headRow.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows.forEach(([label, value]) => {
+    const row = body.insertRow();
+    const th = document.createElement("th");
+    th.scope = "row";
+    th.textContent = label;
+    row.appendChild(th);
+    people.forEach((node) => {
+      const content = value(node);
+      if (content instanceof Node) {
+        row.appendChild(content);
+      } else {
+        row.insertCell().textContent = content;
+      }
+    });
+  });
+  return table;
+};
+
+// Topics, ancestors and descendants that every compared person has in common. A compared
+// person counts as an ancestor or descendant of the others when they are one.
+const buildComparisonOverlap = (people) => {
+  const sharedTopics = people[0].topicKeys.filter((topicKey) => people.every((node) => node.topicKeys.includes(topicKey)));
+  const ancestorMaps = people.map((node) => collectAncestors(node.id));
+  const commonAncestors = Array.from(ancestorMaps[0].keys())
+    .filter((nodeId) => ancestorMaps.every((ancestors) => ancestors.has(nodeId)))
+    .sort((a, b) => d3.sum(ancestorMaps, (ancestors) => ancestors.get(a)) - d3.sum(ancestorMaps, (ancestors) => ancestors.get(b)));
+  const descendantSets = people.map((node) => collectDescendants(node.id));
+  const sharedDescendants = Array.from(descendantSets[0])
+    .filter((nodeId) => descendantSets.every((descendants) => descendants.has(nodeId)))
+    .sort((a, b) => graphState.nodesById.get(a).depth - graphState.nodesById.get(b).depth);
+
+  const list = document.createElement("dl");
+  list.className = "comparison-overlap";
+  [
+    ["Topics everyone lists", sharedTopics.length ? sharedTopics.map(topicLabel).join(", ") : "None"],
+    ["Common academic ancestors", commonAncestors.length ? listNames(commonAncestors) : "None in this lineage"],
+    [
+      "Shared descendants",
+      sharedDescendants.length
+        ? `${formatNumber(sharedDescendants.length)}: ${listNames(sharedDescendants)}`
+        : "None",
+    ],
+  ].forEach(([term, description]) => {
+    const wrapper = document.createElement("div");
+    const dt = document.createElement("dt");
+    dt.textContent = term;
+    const dd = document.createElement("dd");
+    dd.textContent = description;
+    wrapper.append(dt, dd);
+    list.appendChild(wrapper);
+  });
+  return list;
+};
+
+const renderComparison = () => {
+  state.comparisonIds = state.comparisonIds.filter((nodeId) => graphState.nodesById.has(nodeId));
+  const people = state.comparisonIds.map((nodeId) => graphState.nodesById.get(nodeId));
+  applyComparisonClasses();
+  elements.comparisonCard.classList.toggle("hidden", !people.length);
+  elements.comparisonBody.innerHTML = "";
+  if (people.length < 2) {
+    elements.comparisonHint.textContent = people.length
+      ? `Shift-click another person in the graph or roster to compare them with ${people[0].name}.`
+      : "";
+    return;
+  }
+  elements.comparisonHint.textContent = `Comparing ${formatNumber(people.length)} people. Shift-click to add or remove someone.`;
+  elements.comparisonBody.append(buildComparisonTable(people), buildComparisonOverlap(people));
+};
+
+const handleFilterModeChange = (event) => {
+  state.filterMode = event.target.value === "hide" ? "hide" : "dim";
+  applyFilterToGraph();
+  drawMapOverlays();
+  syncUrlState();
+};
+
+// Roster rows have fixed heights, so the list can lay every row out as offsets and only build
+// the ones scrolled into view.
+const ROSTER_ROW_HEIGHT = 70;
+const ROSTER_SNIPPET_HEIGHT = 22;
+const ROSTER_GROUP_HEIGHT = 40;
+const ROSTER_VIEWPORT_FALLBACK = 480;
+const ROSTER_OVERSCAN = 6;
+const ROSTER_INDENT_LIMIT = 10;
+
+const compareRosterNames = (a, b) => a.name.localeCompare(b.name);
+
+const ROSTER_SORTS = {
+  name: compareRosterNames,
+  descendants: (a, b) => (b.total_descendants ?? 0) - (a.total_descendants ?? 0) || compareRosterNames(a, b),
+  students: (a, b) => (b.direct_advisee_count ?? 0) - (a.direct_advisee_count ?? 0) || compareRosterNames(a, b),
+  generation: (a, b) => a.depth - b.depth || compareRosterNames(a, b),
+};
+
+const ROSTER_GROUPINGS = {
+  institution: {
+    key: (career) => career?.institutionKey,
+    label: (key, career) => ANALYTICS_DIMENSIONS.institution.label(key, career),
+  },
+  country: {
+    key: (career) => (career?.country === "unknown" ? null : career?.country),
+    label: (key) => countryName(key),
+  },
+  branch: {
+    key: (career) => career?.branchId,
+    label: (key) => (key === state.rootId ? state.rootName : `${nodeNameById(key)} branch`),
+  },
+};
+
+// "Best match" follows the search ranking and falls back to names when nothing is searched.
+const rosterComparator = (rankById) => {
+  if (rosterState.sort !== "relevance") return ROSTER_SORTS[rosterState.sort] ?? compareRosterNames;
+  if (!state.searchScorers.length) return compareRosterNames;
+  return (a, b) => rankById.get(a.id) - rankById.get(b.id) || compareRosterNames(a, b);
+};
+
+// Rows opened or closed while a filter is active only last as long as that filter.
+const rosterOpenState = () => (state.hasActiveFilter ? rosterState.filteredOpenById : rosterState.openById);
+
+const buildRosterPersonRow = (node, level, extra = {}) => ({
+  kind: "person",
+  node,
+  level,
+  snippet: state.searchScorers.length && !extra.context ? buildKeywordSnippet(node) : "",
+  ...extra,
+});
+
+// With a filter active the tree keeps the matches plus, as muted context rows, the advisors
+// that lead to them. Those advisors start open so every match is in view; each ranks as its
+// best-matching descendant.
+const buildRosterTreeRows = (rankById) => {
+  const { nodeById, childrenById, parentById } = state.lineageTree;
+  const filtered = state.hasActiveFilter;
+  const matchIds = new Set(state.filteredNodes.map((node) => node.id));
+  const leadsToMatch = new Set();
+  if (filtered) {
+    state.filteredNodes.forEach((node, index) => {
+      let advisorId = parentById.get(node.id);
+      while (advisorId && !leadsToMatch.has(advisorId)) {
+        leadsToMatch.add(advisorId);
+        if ((rankById.get(advisorId) ?? Number.POSITIVE_INFINITY) > index) rankById.set(advisorId, index);
+        advisorId = parentById.get(advisorId);
+      }
+    });
+  }
+  const isShown = (nodeId) => !filtered || matchIds.has(nodeId) || leadsToMatch.has(nodeId);
+  const compare = rosterComparator(rankById);
+  const rows = [];
+  const visit = (nodeId, level) => {
+    const studentIds = (childrenById.get(nodeId) || []).filter(isShown);
+    const open =
+      studentIds.length > 0 &&
+      (rosterOpenState().get(nodeId) ?? (filtered ? leadsToMatch.has(nodeId) : nodeId === state.rootId));
+    rows.push(
+      buildRosterPersonRow(nodeById.get(nodeId), level, {
+        context: !matchIds.has(nodeId),
+        studentCount: studentIds.length,
+        open,
+      })
+    );
+    if (!open) return;
+    studentIds
+      .map((studentId) => nodeById.get(studentId))
+      .sort(compare)
+      .forEach((student) => visit(student.id, level + 1));
+  };
+  if (isShown(state.rootId)) visit(state.rootId, 0);
+  return rows;
+};
+
+const rosterGroupId = (key) => `${rosterState.group}:${key ?? ""}`;
+
+// Groups are ordered by size, with people whose value is not listed last.
+const buildRosterGroupRows = (grouping, rankById) => {
+  const compare = rosterComparator(rankById);
+  const groups = d3.group(state.filteredNodes, (node) => grouping.key(state.careerById.get(node.id)) ?? null);
+  const rows = [];
+  Array.from(groups, ([key, members]) => ({
+    key,
+    members,
+    label: key === null ? "Not listed" : grouping.label(key, state.careerById.get(members[0].id)),
+  }))
+    .sort((a, b) => (a.key === null) - (b.key === null) || b.members.length - a.members.length || a.label.localeCompare(b.label))
+    .forEach(({ key, members, label }) => {
+      const id = rosterGroupId(key);
+      const open = rosterOpenState().get(id) ?? true;
+      rows.push({ kind: "group", id, label, count: members.length, open });
+      if (open) members.sort(compare).forEach((node) => rows.push(buildRosterPersonRow(node, 1)));
+    });
+  return rows;
+};
+
+const layoutRosterRows = () => {
+  const rankById = new Map(state.filteredNodes.map((node, index) => [node.id, index]));
+  const grouping = ROSTER_GROUPINGS[rosterState.group];
+  let rows;
+  if (rosterState.group === "tree") {
+    rows = buildRosterTreeRows(rankById);
+  } else if (grouping) {
+    rows = buildRosterGroupRows(grouping, rankById);
+  } else {
+    rows = [...state.filteredNodes].sort(rosterComparator(rankById)).map((node) => buildRosterPersonRow(node, 0));
+  }
+  const offsets = [0];
+  rows.forEach((row) => {
+    const height =
+      row.kind === "group" ? ROSTER_GROUP_HEIGHT : ROSTER_ROW_HEIGHT + (row.snippet ? ROSTER_SNIPPET_HEIGHT : 0);
+    offsets.push(offsets[offsets.length - 1] + height);
+  });
+  rosterState.rows = rows;
+  rosterState.offsets = offsets;
+};
+
+const buildRosterRow = (row, index) => {
+  const item = document.createElement("li");
+  item.className = "roster-row";
+  item.dataset.index = String(index);
+  item.style.top = `${rosterState.offsets[index]}px`;
+  item.style.height = `${rosterState.offsets[index + 1] - rosterState.offsets[index]}px`;
+  if (row.kind === "group") {
+    item.classList.add("roster-group");
+    item.innerHTML = `
+      <button type="button" class="roster-toggle" aria-expanded="${row.open}">
+        <span class="roster-caret" aria-hidden="true">${row.open ? "▾" : "▸"}</span>
+        <span class="roster-group-label">${escapeHtml(row.label)}</span>
+        <span class="roster-group-count">${formatNumber(row.count)}</span>
+      </button>
+    `;
+    return item;
+  }
+
+  const { node } = row;
+  const needles = state.searchScorers.map(({ needle, phrase }) => ({ needle, phrase }));
+  item.dataset.id = node.id;
+  item.style.setProperty("--roster-level", String(Math.min(row.level, ROSTER_INDENT_LIMIT)));
+  item.classList.toggle("is-context", Boolean(row.context));
+  item.classList.toggle("active", node.id === state.selectedNodeId);
+  item.classList.toggle("compared", state.comparisonIds.includes(node.id));
+  let toggle = "";
+  if (rosterState.group === "tree") {
+    toggle = row.studentCount
+      ? `<button type="button" class="roster-toggle roster-caret" aria-expanded="${row.open}"
+          aria-label="${row.open ? "Hide" : "Show"} students of ${escapeHtml(node.name)}">${row.open ? "▾" : "▸"}</button>`
+      : `<span class="roster-caret" aria-hidden="true"></span>`;
+  }
+  item.innerHTML = `
+    ${toggle}
+    <div class="roster-entry">
+      <div class="name">${highlightSearchMatches(node.name, needles)}${buildDiffBadge(node)}</div>
+      <div class="meta">
+        ${highlightSearchMatches(node.affiliationDisplay, needles)} • Direct PhD students: ${formatNumber(
+          node.direct_advisee_count
+        )} • Gen ${node.depth}
+      </div>
+      ${row.snippet}
+    </div>
+  `;
+  return item;
+};
+
+// Rows that stay in view keep their elements, so a scroll between the two clicks of a
+// double-click does not swap the row out from under the pointer.
+const renderRosterWindow = ({ reset = false } = {}) => {
+  rosterState.frame = null;
+  const list = elements.rosterList;
+  const { rows, offsets, rendered } = rosterState;
+  if (reset) {
+    rendered.clear();
+    if (!rows.length) {
+      const empty = document.createElement("li");
+      empty.textContent = "No people match your filters yet.";
+      empty.classList.add("empty");
+      list.replaceChildren(empty);
+      return;
+    }
+    const sizer = document.createElement("li");
+    sizer.className = "roster-sizer";
+    sizer.setAttribute("aria-hidden", "true");
+    sizer.style.height = `${offsets[rows.length]}px`;
+    list.replaceChildren(sizer);
+  }
+  if (!rows.length) return;
+
+  const viewportHeight = list.clientHeight || ROSTER_VIEWPORT_FALLBACK;
+  const start = Math.max(0, d3.bisectRight(offsets, list.scrollTop) - 1 - ROSTER_OVERSCAN);
+  const end = Math.min(rows.length, d3.bisectLeft(offsets, list.scrollTop + viewportHeight) + ROSTER_OVERSCAN);
+  rendered.forEach((item, index) => {
+    if (index >= start && index < end) return;
+    item.remove();
+    rendered.delete(index);
+  });
+  // Keep the DOM in row order, which is also the tab order of the toggles.
+  const keptStart = rendered.size ? Math.min(...rendered.keys()) : end;
+  const anchor = rendered.get(keptStart) ?? null;
+  for (let index = start; index < end; index += 1) {
+    if (rendered.has(index)) continue;
+    const item = buildRosterRow(rows[index], index);
+    rendered.set(index, item);
+    if (index < keptStart) list.insertBefore(item, anchor);
+    else list.append(item);
+  }
+};
+
+const scheduleRosterWindow = () => {
+  if (rosterState.frame === null) rosterState.frame = window.requestAnimationFrame(() => renderRosterWindow());
+};
+
+const renderRoster = () => {
+  layoutRosterRows();
+  renderRosterWindow({ reset: true });
+  highlightRosterSelection();
+};
+
+// Opens whatever folds the person away: their advisors in the tree, or their group.
+const revealRosterNode = (nodeId) => {
+  const node = state.lineageTree.nodeById.get(nodeId);
+  if (!node || (state.hasActiveFilter && !state.filteredNodes.includes(node))) return;
+  const grouping = ROSTER_GROUPINGS[rosterState.group];
+  if (grouping) {
+    rosterOpenState().set(rosterGroupId(grouping.key(state.careerById.get(nodeId))), true);
+  } else {
+    let advisorId = state.lineageTree.parentById.get(nodeId);
+    while (advisorId) {
+      rosterOpenState().set(advisorId, true);
+      advisorId = state.lineageTree.parentById.get(advisorId);
+    }
+  }
+  layoutRosterRows();
+  renderRosterWindow({ reset: true });
+};
+
+const scrollRosterRowIntoView = (index) => {
+  const list = elements.rosterList;
+  const top = rosterState.offsets[index];
+  const bottom = rosterState.offsets[index + 1];
+  const viewportHeight = list.clientHeight || ROSTER_VIEWPORT_FALLBACK;
+  if (top < list.scrollTop) {
+    list.scrollTo({ top, behavior: "smooth" });
+  } else if (bottom > list.scrollTop + viewportHeight) {
+    list.scrollTo({ top: bottom - viewportHeight, behavior: "smooth" });
+  }
+};
+
+const toggleRosterRow = (item) => {
+  const index = Number(item.dataset.index);
+  const row = rosterState.rows[index];
+  rosterOpenState().set(row.kind === "group" ? row.id : row.node.id, !row.open);
+  layoutRosterRows();
+  renderRosterWindow({ reset: true });
+  rosterState.rendered.get(index)?.querySelector(".roster-toggle")?.focus();
+};
+
+const handleRosterClick = (event) => {
+  const item = event.target.closest(".roster-row");
+  if (!item) return;
+  if (event.target.closest(".roster-toggle")) {
+    toggleRosterRow(item);
+  } else if (item.dataset.id) {
+    if (event.shiftKey) toggleComparison(item.dataset.id);
+    else selectNode(item.dataset.id, { focus: true });
+  }
+};
+
+// Keep shift-click from extending the text selection across the roster.
+const handleRosterMousedown = (event) => {
+  if (event.shiftKey) event.preventDefault();
+};
+
+const handleRosterDblclick = (event) => {
+  const row = rosterState.rows[Number(event.target.closest(".roster-row[data-id]")?.dataset.index)];
+  if (row?.node) openProfileLink(row.node);
+};
+
+const handleRosterControlsChange = () => {
+  rosterState.sort = elements.rosterSort.value;
+  rosterState.group = elements.rosterGroup.value;
+  elements.rosterList.scrollTop = 0;
+  renderRoster();
+};
+
+// Shows the research keywords that made a node match, since they are not otherwise visible.
+const buildKeywordSnippet = (node) => {
+  const keywordScorers = state.searchScorers.filter((scorer) => scorer(node).field === "keywords");
+  if (!keywordScorers.length) return "";
+  const needles = keywordScorers.map(({ needle, phrase }) => ({ needle, phrase }));
+  // Keywords matched only through a synonym ("NLP" for "natural language processing") are marked whole.
+  const matchesSynonym = (keyword) =>
+    topicSearchTerms(keywordTopicKey(keyword)).some((term) =>
+      needles.some(({ needle }) => term === needle || tokenizeSearchText(term).includes(singularizeWord(needle)))
+    );
+  const matching = (node.expertise_keywords || [])
+    .map((keyword) => {
+      const markup = highlightSearchMatches(keyword, needles);
+      if (markup.includes("<mark>")) return markup;
+      return matchesSynonym(keyword) ? `<mark>${escapeHtml(keyword)}</mark>` : null;
+    })
+    .filter(Boolean);
+  if (!matching.length) return "";
+  return `<div class="match-snippet">${matching.slice(0, 3).join(", ")}</div>`;
+};
+
+const SEARCH_SUGGESTION_LIMIT = 8;
+
+const updateSearchSuggestions = (rankedNodes) => {
+  const list = elements.searchSuggestions;
+  const suggestions = document.activeElement === elements.searchInput
+    ? rankedNodes.slice(0, SEARCH_SUGGESTION_LIMIT)
+    : [];
+  list.innerHTML = "";
+  state.activeSuggestionIndex = -1;
+  if (!suggestions.length) {
+    closeSearchSuggestions();
+    return;
+  }
+  const needles = state.searchScorers.map(({ needle, phrase }) => ({ needle, phrase }));
+  suggestions.forEach((node, index) => {
+    const li = document.createElement("li");
+    li.id = `search-suggestion-${index}`;
+    li.dataset.id = node.id;
+    li.setAttribute("role", "option");
+    li.setAttribute("aria-selected", "false");
+    li.innerHTML = `
+      <span class="suggestion-name">${highlightSearchMatches(node.name, needles)}</span>
+      <span class="suggestion-meta">${escapeHtml(node.affiliationDisplay)} · Gen ${node.depth}</span>
+    `;
+    // mousedown fires before the input blurs and closes the list.
+    li.addEventListener("mousedown", (event) => {
+      event.preventDefault();
+      chooseSearchSuggestion(node.id);
+    });
+    list.appendChild(li);
+  });
+  list.hidden = false;
+  elements.searchInput.setAttribute("aria-expanded", "true");
+};
+
+const closeSearchSuggestions = () => {
+  elements.searchSuggestions.hidden = true;
+  elements.searchSuggestions.innerHTML = "";
+  state.activeSuggestionIndex = -1;
+  elements.searchInput.setAttribute("aria-expanded", "false");
+  elements.searchInput.removeAttribute("aria-activedescendant");
+};
+
+const setActiveSuggestion = (index) => {
+  const items = Array.from(elements.searchSuggestions.querySelectorAll("li"));
+  if (!items.length) return;
+  const wrapped = (index + items.length) % items.length;
+  state.activeSuggestionIndex = wrapped;
+  items.forEach((item, itemIndex) => {
+    const isActive = itemIndex === wrapped;
+    item.classList.toggle("active", isActive);
+    item.setAttribute("aria-selected", String(isActive));
+  });
+  elements.searchInput.setAttribute("aria-activedescendant", items[wrapped].id);
+  items[wrapped].scrollIntoView({ block: "nearest" });
+};
+
+const chooseSearchSuggestion = (nodeId) => {
+  closeSearchSuggestions();
+  selectNode(nodeId, { focus: true });
+};
+
+const handleSearchKeydown = (event) => {
+  const items = elements.searchSuggestions.querySelectorAll("li");
+  if (elements.searchSuggestions.hidden || !items.length) return;
+  if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+    event.preventDefault();
+    const step = event.key === "ArrowDown" ? 1 : -1;
+    const start = state.activeSuggestionIndex === -1 && step === -1 ? 0 : state.activeSuggestionIndex;
+    setActiveSuggestion(start + step);
+  } else if (event.key === "Enter") {
+    event.preventDefault();
+    const item = items[Math.max(0, state.activeSuggestionIndex)];
+    chooseSearchSuggestion(item.dataset.id);
+  } else if (event.key === "Escape") {
+    event.preventDefault();
+    closeSearchSuggestions();
+  }
+};
+
+const initGraph = () => {
+  console.time("initGraph");
+  const container = document.getElementById("network");
+  if (!container) return;
+
+  const svg = d3.select(container).select("svg.graph-canvas");
+  if (!svg.node()) return;
+
+  svg.selectAll("*").remove();
+  stopForceLayout();
+  if (graphState.error && !graphState.error.layout) {
+    graphState.error = null;
+    renderGraphError();
+  }
+  if (graphState.resizeObserver) {
+    graphState.resizeObserver.disconnect();
+    graphState.resizeObserver = null;
+  }
+
+  graphState.container = container;
+  graphState.svg = svg;
+  graphState.initialFocusDone = false;
+  graphState.initialFocusScheduled = false;
+  graphState.lineageNodes = new Set();
+  graphState.lineageEdges = new Set();
+  graphState.hoveredId = null;
+  graphState.collapsedIds = new Set();
+  graphState.keyboardAdvisorById = new Map();
+
+  const zoomLayer = svg.append("g").attr("class", "graph-viewport");
+  const linkGroup = zoomLayer.append("g").attr("class", "graph-links");
+  const nodeGroup = zoomLayer.append("g").attr("class", "graph-nodes");
+  graphState.zoomLayer = zoomLayer;
+
+  const rect = container.getBoundingClientRect();
+  const width = rect.width || container.clientWidth || 960;
+  const height = rect.height || container.clientHeight || 720;
+  graphState.size = { width, height };
+
+  svg.attr("viewBox", `0 0 ${width} ${height}`).attr("preserveAspectRatio", "xMidYMid meet");
+
+  const rootId = state.rootId;
+  const depthById = new Map(state.nodes.map((node) => [node.id, node.depth ?? 0]));
+
+  const parentByChild = new Map();
+  const childrenByParent = new Map();
+  state.edges.forEach((edge) => {
+    if (!parentByChild.has(edge.to)) {
+      parentByChild.set(edge.to, []);
+    }
+    parentByChild.get(edge.to).push(edge.from);
+    if (!childrenByParent.has(edge.from)) {
+      childrenByParent.set(edge.from, []);
+    }
+    childrenByParent.get(edge.from).push(edge.to);
+  });
+
+  const clusterCache = new Map([[rootId, rootId]]);
+  const getClusterId = (nodeId) => {
+    if (clusterCache.has(nodeId)) {
+      return clusterCache.get(nodeId);
+    }
+    if (nodeId === rootId) {
+      clusterCache.set(nodeId, rootId);
+      return rootId;
+    }
+
+    const visited = new Set([nodeId]);
+    let current = nodeId;
+    let clusterCandidate = rootId;
+
+    while (true) {
+      const parents = parentByChild.get(current);
+      if (!parents || !parents.length) {
+        clusterCandidate = rootId;
+        break;
+      }
+
+      const currentDepth = depthById.get(current) ?? Number.POSITIVE_INFINITY;
+      let nextParent =
+        parents.find((parent) => (depthById.get(parent) ?? Number.POSITIVE_INFINITY) < currentDepth) ??
+        parents[0];
+
+      if (!nextParent || visited.has(nextParent)) {
+        clusterCandidate = rootId;
+        break;
+      }
+
+      if (nextParent === rootId) {
+        clusterCandidate = current;
+        break;
+      }
+
+      visited.add(nextParent);
+      current = nextParent;
+    }
+
+    const resolved = clusterCandidate === nodeId ? nodeId : clusterCandidate;
+    visited.forEach((visitedId) => {
+      if (!clusterCache.has(visitedId)) {
+        clusterCache.set(visitedId, visitedId === rootId ? rootId : resolved);
+      }
+    });
+    clusterCache.set(nodeId, resolved);
+    return resolved;
+  };
+
+  // Every first-generation branch a node descends from, through any of its advisors.
+  const clusterIdsCache = new Map();
+  const getClusterIds = (nodeId, visiting = new Set()) => {
+    if (clusterIdsCache.has(nodeId)) {
+      return clusterIdsCache.get(nodeId);
+    }
+    const primary = getClusterId(nodeId);
+    if (nodeId === rootId || primary === nodeId) {
+      clusterIdsCache.set(nodeId, [primary]);
+      return [primary];
+    }
+    visiting.add(nodeId);
+    const clusterIds = new Set([primary]);
+    (parentByChild.get(nodeId) || []).forEach((parent) => {
+      if (parent === rootId || visiting.has(parent)) return;
+      getClusterIds(parent, visiting).forEach((clusterId) => clusterIds.add(clusterId));
+    });
+    visiting.delete(nodeId);
+    const resolved = Array.from(clusterIds);
+    clusterIdsCache.set(nodeId, resolved);
+    return resolved;
+  };
+
+  // Nodes start on the same seeded spiral d3 would use, so they have positions before the
+  // layout engine answers.
+  const nodes = state.nodes.map((node, index) => {
+    const radius = 10 * Math.sqrt(0.5 + index);
+    const angle = index * Math.PI * (3 - Math.sqrt(5));
+    return {
+      ...node,
+      clusterId: getClusterId(node.id),
+      clusterIds: getClusterIds(node.id),
+      x: radius * Math.cos(angle),
+      y: radius * Math.sin(angle),
+    };
+  });
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+
+  const links = state.edges.map((edge) => ({
+    source: nodeById.get(edge.from),
+    target: nodeById.get(edge.to),
+    coAdvised: (parentByChild.get(edge.to) || []).length > 1,
+  }));
+  console.info("Graph data ready", { nodeCount: nodes.length, linkCount: links.length });
+
+  graphState.maxDepth = d3.max(nodes, (node) => node.depth ?? 0) ?? 0;
+  graphState.directAdvisees = nodes.filter((node) => node.id !== rootId && node.clusterId === node.id);
+  graphState.parentByChild = parentByChild;
+  graphState.childrenByParent = childrenByParent;
+  graphState.depthById = depthById;
+  graphState.maxInfluence = d3.max(nodes, (node) => computeInfluenceScore(node)) ?? 0;
+  graphState.maxDescendants = d3.max(nodes, (node) => node.total_descendants ?? 0) ?? 0;
+  graphState.maxDirectAdvisees = d3.max(nodes, (node) => node.direct_advisee_count ?? 0) ?? 0;
+  graphState.colorEncoding = buildColorEncoding(graphState.colorBy, nodes);
+  graphState.clusterCenters = computeClusterCenters(width, height, graphState.directAdvisees, rootId);
+  graphState.nodesById = nodeById;
+
+  const dragStarted = (event, node) => {
+    // Hierarchical layouts are deterministic, so nodes stay where the layout put them.
+    if (graphState.layout !== "force") return;
+    pinForceNode(node, node.x, node.y);
+    if (!event.active) {
+      runForceLayout({ alphaTarget: 0.3 });
+    }
+  };
+  const dragged = (event, node) => {
+    if (graphState.layout !== "force") return;
+    pinForceNode(node, event.x, event.y);
+  };
+  const dragEnded = (event, node) => {
+    if (graphState.layout !== "force") return;
+    if (!event.active) {
+      runForceLayout({ alphaTarget: 0 });
+    }
+    if (node.id === rootId) {
+      pinForceNode(node, graphState.size.width / 2, graphState.size.height / 2);
+    } else {
+      pinForceNode(node, null, null);
+    }
+  };
+  const drag = d3.drag().on("start", dragStarted).on("drag", dragged).on("end", dragEnded);
+  // The canvas renderer has no per-node elements to grab, so the svg hit-tests the press
+  // instead. It is attached before zoom so that grabbing a node does not also pan.
+  const canvasDrag = d3
+    .drag()
+    .container(() => zoomLayer.node())
+    .subject((event) => {
+      if (graphState.renderer !== "canvas") return null;
+      const hit = hitTestCanvasGraph([event.x, event.y]);
+      return hit && !hit.toggle ? hit.node : null;
+    })
+    .on("start", (event) => dragStarted(event, event.subject))
+    .on("drag", (event) => dragged(event, event.subject))
+    .on("end", (event) => dragEnded(event, event.subject));
+  svg.call(canvasDrag);
+
+  const zoom = d3
+    .zoom()
+    .scaleExtent([0.08, 4])
+    .on("zoom", (event) => {
+      graphState.currentTransform = event.transform;
+      graphState.zoomLayer.attr("transform", event.transform);
+      scheduleUrlViewSync();
+    });
+  svg.call(zoom).on("dblclick.zoom", null);
+  svg.on("click", (event) => {
+    // Ignore clicks that originated from nodes (they stop propagation)
+    if (event.defaultPrevented) return;
+    if (handleCanvasGraphClick(event)) return;
+    clearLineageHighlight();
+    highlightGraphSelection(null);
+  });
+  svg
+    .on("dblclick", (event) => {
+      const hit = graphState.renderer === "canvas" ? hitTestCanvasGraph(d3.pointer(event, zoomLayer.node())) : null;
+      if (hit && !hit.toggle) openProfileLink(hit.node);
+    })
+    .on("pointermove", handleCanvasGraphHover)
+    .on("pointerleave", () => {
+      if (graphState.renderer === "canvas" && graphState.hoveredId) applyHoverHighlight(null);
+    })
+    .on("focusin focusout", requestCanvasDraw);
+  graphState.zoom = zoom;
+  graphState.currentTransform = d3.zoomIdentity;
+
+  const linkSelection = linkGroup
+    .selectAll("line")
+    .data(links)
+    .join("line")
+    .attr("class", "graph-link")
+    .classed("co-advised", (link) => link.coAdvised)
+    .attr("stroke-width", 1.2);
+
+  const nodeSelection = nodeGroup
+    .selectAll("g")
+    .data(nodes, (node) => node.id)
+    .join((enter) => {
+      const group = enter.append("g").attr("class", "graph-node");
+      group
+        .append("path")
+        .attr("class", "graph-node-cell")
+        .attr("fill", nodeFill);
+      group
+        .append("circle")
+        .attr("class", (node) => (node.id === rootId ? "graph-node-circle root" : "graph-node-circle"))
+        .attr("r", (node) => nodeRadius(node))
+        .attr("fill", nodeFill)
+        .attr("stroke", (node) => (node.id === rootId ? "#143166" : "#ffffff"))
+        .attr("stroke-width", (node) => (node.id === rootId ? 3 : 1.5));
+      group
+        .append("text")
+        .attr("class", "node-label")
+        .attr("text-anchor", "middle")
+        .attr("dy", (node) => nodeRadius(node) + 18)
+        .text((node) => node.name);
+      group
+        .append("text")
+        .attr("class", "hover-badge")
+        .attr("text-anchor", "middle")
+        .attr("dy", (node) => -nodeRadius(node) - 12)
+        .text((node) => (node.depth === 0 ? "Root" : `Gen ${node.depth}`));
+      group
+        .append("circle")
+        .attr("class", "graph-node-focus-ring")
+        .attr("r", (node) => nodeRadius(node) + 5.5);
+      group.append("title").text((node) => buildTooltip(node));
+      const toggle = group
+        .filter((node) => (childrenByParent.get(node.id) || []).length > 0)
+        .append("g")
+        .attr("class", "collapse-toggle")
+        .on("click", (event, node) => {
+          event.stopPropagation();
+          toggleNodeCollapse(node.id);
+        })
+        .on("dblclick", (event) => event.stopPropagation());
+      toggle.append("circle").attr("r", 7);
+      toggle.append("text").attr("class", "collapse-toggle-icon").attr("text-anchor", "middle").attr("dy", "0.35em");
+      toggle.append("text").attr("class", "collapse-count").attr("dx", 11).attr("dy", "0.35em");
+      return group;
+    });
+
+  nodeSelection
+    .attr("tabindex", (node) => (node.id === rootId ? 0 : -1))
+    .attr("role", "button")
+    .call(drag)
+    .on("click", (event, node) => {
+      event.stopPropagation();
+      if (event.shiftKey) toggleComparison(node.id);
+      else selectNode(node.id);
+    })
+    .on("dblclick", (event, node) => {
+      event.stopPropagation();
+      openProfileLink(node);
+    })
+    .on("mouseover", (event, node) => {
+      applyHoverHighlight(node.id);
+    })
+    .on("mouseout", () => {
+      applyHoverHighlight(null);
+    })
+    .on("focus", (event, node) => {
+      applyHoverHighlight(node.id);
+      panGraphToNode(node.id);
+    })
+    .on("blur", () => {
+      applyHoverHighlight(null);
+    })
+    .on("keydown", (event, node) => {
+      if (event.key === "Enter" && event.shiftKey) {
+        event.preventDefault();
+        toggleComparison(node.id);
+      } else if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        selectNode(node.id, { focus: event.key === "Enter" });
+      } else if (event.key === "-" || event.key === "+" || event.key === "=") {
+        event.preventDefault();
+        setNodeCollapsed(node.id, event.key === "-");
+      } else if (GRAPH_ARROW_MOVES[event.key] && !event.altKey && !event.metaKey && !event.ctrlKey) {
+        event.preventDefault();
+        moveGraphFocus(node.id, GRAPH_ARROW_MOVES[event.key]);
+      }
+    });
+
+  nodeSelection.classed("is-root", (node) => node.id === rootId);
+
+  graphState.nodeSelection = nodeSelection;
+  graphState.linkSelection = linkSelection;
+  applyHoverHighlight(null);
+  applyFilterToGraph();
+  applyTimelineToGraph();
+  applyDiffToGraph();
+  renderGraphLegend();
+
+  graphState.links = links;
+  graphState.forcePositions = new Map();
+  graphState.visibleIds = new Set(nodes.map((node) => node.id));
+  const rootNode = graphState.nodesById.get(rootId);
+  if (rootNode) {
+    rootNode.fx = width / 2;
+    rootNode.fy = height / 2;
+  }
+  populateExpandDepthOptions();
+  // Also lays out hierarchical views when the graph is rebuilt outside the force layout.
+  applyCollapseState({ animate: false });
+  applyGraphRenderer();
+  startForceLayout().catch((error) => {
+    console.error("Force layout failed to start:", error);
+    showGraphError(error, { layout: "force" });
+  });
+
+  if (typeof ResizeObserver !== "undefined") {
+    const resizeObserver = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        if (entry.target !== container) continue;
+        // Measured like the starting size, so the report that comes with observing is a no-op
+        // and only a real resize moves the layout.
+        const bounds = container.getBoundingClientRect();
+        const newWidth = bounds.width || container.clientWidth || width;
+        const newHeight = bounds.height || container.clientHeight || height;
+        if (!newWidth || !newHeight) continue;
+        if (newWidth === graphState.size.width && newHeight === graphState.size.height) continue;
+        graphState.size = { width: newWidth, height: newHeight };
+        svg.attr("viewBox", `0 0 ${newWidth} ${newHeight}`);
+        graphState.clusterCenters = computeClusterCenters(
+          newWidth,
+          newHeight,
+          graphState.directAdvisees,
+          rootId
+        );
+        const lockedRoot = graphState.nodesById.get(rootId);
+        if (lockedRoot) {
+          lockedRoot.fx = newWidth / 2;
+          lockedRoot.fy = newHeight / 2;
+        }
+        configureForceLayout();
+        if (graphState.layout === "force") {
+          runForceLayout({ alpha: 0.35 });
+        }
+        if (!graphState.initialFocusDone) {
+          scheduleInitialFocus();
+        } else {
+          const currentScale = graphState.currentTransform?.k ?? 1;
+          focusGraphNode(state.rootId, { scale: currentScale });
+        }
+      }
+    });
+    resizeObserver.observe(container);
+    graphState.resizeObserver = resizeObserver;
+  } else {
+    console.warn("ResizeObserver not supported; graph will not adapt to container size changes.");
+  }
+
+  selectNode(state.rootId);
+  console.timeEnd("initGraph");
+};
+
+const forceLinkDistance = (source, target) => {
+  const sourceDepth = source.depth ?? 0;
+  const targetDepth = target.depth ?? 0;
+  let baseDistance;
+  if (sourceDepth === 0) baseDistance = 220;
+  else if (sourceDepth === 1 && targetDepth > 1) baseDistance = 160;
+  else baseDistance = 90 + targetDepth * 30;
+
+  const influenceBoost = normalizeInfluence(source, graphState.maxInfluence);
+  const influenceMultiplier = 1 + influenceBoost * 0.6;
+  return baseDistance * influenceMultiplier;
+};
+
+// The simulation itself lives in force-layout.js, normally on a worker. When a worker cannot
+// start (a file:// page, a blocked script) or fails later, the same engine runs on the page
+// and picks up the last instructions the worker was given.
+const createForceLayoutRunner = () => {
+  let engine = null;
+  let worker = null;
+  let lastConfigure = null;
+  let lastRun = null;
+  // Without an engine the force layout cannot run, so the error is shown over it once and every
+  // later message is dropped instead of throwing from wherever the layout is touched.
+  const startLocalEngine = () => {
+    if (typeof createForceLayoutEngine !== "function") {
+      const error = new Error(`The force layout engine (${FORCE_LAYOUT_WORKER_URL}) did not load.`);
+      console.error("Force layout unavailable:", error);
+      showGraphError(error, { layout: "force" });
+      return;
+    }
+    engine = createForceLayoutEngine(d3, handleForceLayoutMessage);
+    if (lastConfigure) engine.receive(lastConfigure);
+    if (lastRun) engine.receive(lastRun);
+  };
+  if (typeof Worker !== "undefined") {
+    try {
+      worker = new Worker(FORCE_LAYOUT_WORKER_URL);
+      worker.onmessage = (event) => handleForceLayoutMessage(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        console.warn("The force layout worker failed; running the layout on the page.", event.message);
+        worker.terminate();
+        worker = null;
+        startLocalEngine();
+      };
+    } catch (error) {
+      console.warn("Could not start the force layout worker; running the layout on the page.", error);
+      worker = null;
+    }
+  }
+  if (!worker) startLocalEngine();
+  return (message) => {
+    if (message.type === "configure") lastConfigure = message;
+    if (message.type === "run") lastRun = message;
+    if (message.type === "stop") lastRun = null;
+    if (worker) {
+      worker.postMessage(message);
+    } else {
+      engine?.receive(message);
+    }
+  };
+};
+
+const sendForceLayout = (message) => {
+  graphState.forceLayout ??= createForceLayoutRunner();
+  graphState.forceLayout(message);
+};
+
+// Hands the visible people, their links and every force target to the engine. Positions on
+// the page win over the engine's; it only keeps each node's velocity. Ticks from an earlier
+// configuration are told apart by the version and ignored.
+const configureForceLayout = () => {
+  if (!graphState.nodesById.size) return;
+  const nodes = Array.from(graphState.nodesById.values()).filter((node) => graphState.visibleIds.has(node.id));
+  const indexById = new Map(nodes.map((node, index) => [node.id, index]));
+  const { width, height } = graphState.size;
+  graphState.layoutNodes = nodes;
+  graphState.layoutVersion += 1;
+  sendForceLayout({
+    type: "configure",
+    version: graphState.layoutVersion,
+    center: { x: width / 2, y: height / 2 },
+    nodes: nodes.map((node) => {
+      const target = getClusterTarget(node);
+      return {
+        id: node.id,
+        x: node.x,
+        y: node.y,
+        fx: node.fx ?? null,
+        fy: node.fy ?? null,
+        radius: nodeRadius(node) + 14,
+        radial: radialRadius(node.depth),
+        clusterX: target.x,
+        clusterY: target.y,
+        clusterStrength: node.depth === 0 ? 0.62 : 0.15,
+      };
+    }),
+    links: graphState.links
+      .filter((link) => indexById.has(link.source.id) && indexById.has(link.target.id))
+      .map((link) => ({
+        source: indexById.get(link.source.id),
+        target: indexById.get(link.target.id),
+        distance: forceLinkDistance(link.source, link.target),
+      })),
+  });
+};
+
+// Only the batched settle of a fresh layout is worth caching; any other run means someone
+// dragged, expanded or resized, and the arrangement is no longer the reproducible one.
+const runForceLayout = ({ alpha, alphaTarget, batch = false } = {}) => {
+  graphState.layoutPending = batch;
+  sendForceLayout({ type: "run", alpha, alphaTarget, batch });
+};
+
+const stopForceLayout = () => {
+  graphState.layoutPending = false;
+  graphState.forceLayout?.({ type: "stop" });
+};
+
+const pinForceNode = (node, fx, fy) => {
+  node.fx = fx;
+  node.fy = fy;
+  sendForceLayout({ type: "pin", id: node.id, fx, fy });
+};
+
+const handleForceLayoutMessage = ({ type, version, positions }) => {
+  if (version !== graphState.layoutVersion || graphState.layout !== "force") return;
+  graphState.layoutNodes.forEach((node, index) => {
+    node.x = positions[index * 2];
+    node.y = positions[index * 2 + 1];
+  });
+  renderGraphPositions();
+  scheduleInitialFocus();
+  if (type === "end" && graphState.layoutPending) {
+    graphState.layoutPending = false;
+    storeCachedLayout(layoutCacheKey(), captureForceLayout());
+  }
+};
+
+// A layout belongs to one export of the dataset drawn from one root.
+const layoutCacheKey = () => (state.data?.generated_at ? `${state.data.generated_at}|${state.rootId}` : null);
+
+// The force arrangement as saved with a dataset: positions are rounded to a tenth of a pixel
+// and measured in a viewport of `width` × `height`, with the root pinned at its centre.
+const captureForceLayout = () => {
+  const positions = {};
+  graphState.nodesById.forEach((node) => {
+    const point = graphState.layout === "force" ? node : graphState.forcePositions.get(node.id);
+    if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) return;
+    positions[node.id] = [Math.round(point.x * 10) / 10, Math.round(point.y * 10) / 10];
+  });
+  const { width, height } = graphState.size;
+  return { root: state.rootId, width, height, positions };
+};
+
+const openLayoutCache = () => {
+  graphState.layoutCacheDb ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(LAYOUT_CACHE_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(LAYOUT_CACHE_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return graphState.layoutCacheDb;
+};
+
+const layoutCacheRequest = async (mode, operation) => {
+  const db = await openLayoutCache();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(LAYOUT_CACHE_STORE, mode).objectStore(LAYOUT_CACHE_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// The cache only saves work, so a browser without IndexedDB or a failed read just means
+// settling the layout again.
+const readCachedLayout = async (key) => {
+  if (!key || typeof indexedDB === "undefined") return null;
+  try {
+    return (await layoutCacheRequest("readonly", (store) => store.get(key))) ?? null;
+  } catch (error) {
+    console.warn("Could not read the cached graph layout", error);
+    return null;
+  }
+};
+
+const storeCachedLayout = async (key, layout) => {
+  if (!key || typeof indexedDB === "undefined") return;
+  try {
+    await layoutCacheRequest("readwrite", (store) => store.put(layout, key));
+  } catch (error) {
+    console.warn("Could not cache the graph layout", error);
+  }
+};
+
+// Moves people to a saved arrangement, shifted so its centre lands on the current viewport's.
+// Returns how many visible people the layout had no position for, or -1 if it placed nobody.
+const applySavedLayout = ({ width, height, positions }) => {
+  const dx = Number.isFinite(width) ? (graphState.size.width - width) / 2 : 0;
+  const dy = Number.isFinite(height) ? (graphState.size.height - height) / 2 : 0;
+  const placed = new Map();
+  let missing = 0;
+  graphState.nodesById.forEach((node) => {
+    const point = positions?.[node.id];
+    if (Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1])) {
+      placed.set(node.id, { x: point[0] + dx, y: point[1] + dy });
+    } else if (graphState.visibleIds.has(node.id)) {
+      missing += 1;
+    }
+  });
+  if (!placed.size) return -1;
+  if (graphState.layout === "force") {
+    placed.forEach((point, id) => Object.assign(graphState.nodesById.get(id), point));
+    renderGraphPositions();
+  } else {
+    graphState.forcePositions = placed;
+  }
+  return missing;
+};
+
+// Places the force layout on load: a layout shipped inside the dataset or cached from an
+// earlier visit appears at once, otherwise the engine settles one from its seeded start and
+// the result is cached under the dataset's generated_at.
+const startForceLayout = async () => {
+  const { nodesById } = graphState;
+  const shipped = state.data?.layout?.root === state.rootId ? state.data.layout : null;
+  const saved = shipped ?? (await readCachedLayout(layoutCacheKey()));
+  if (graphState.nodesById !== nodesById) return;
+  const missing = saved ? applySavedLayout(saved) : -1;
+  configureForceLayout();
+  if (graphState.layout !== "force") {
+    scheduleInitialFocus();
+  } else if (missing === -1) {
+    // The view is framed once the first settled positions arrive.
+    runForceLayout({ alpha: 1, batch: true });
+  } else {
+    if (missing) runForceLayout({ alpha: 0.3 });
+    scheduleInitialFocus();
+  }
+};
+
+const writeSvgPositions = () => {
+  if (!graphState.linkSelection || !graphState.nodeSelection) return;
+  graphState.linkSelection
+    .attr("x1", (link) => link.source.x)
+    .attr("y1", (link) => link.source.y)
+    .attr("x2", (link) => link.target.x)
+    .attr("y2", (link) => link.target.y);
+  graphState.nodeSelection.attr("transform", (node) => `translate(${node.x}, ${node.y})`);
+};
+
+// Runs on every simulation tick and layout frame. The canvas renderer skips the per-element
+// attribute writes, which are what slow the svg down on lineages with thousands of people.
+const renderGraphPositions = () => {
+  if (graphState.renderer === "canvas") {
+    requestCanvasDraw();
+    return;
+  }
+  writeSvgPositions();
+};
+
+const resolveGraphRenderer = (setting) => {
+  if (setting !== "auto") return setting;
+  return graphState.nodesById.size >= CANVAS_NODE_THRESHOLD ? "canvas" : "svg";
+};
+
+// Switches between drawing the svg elements and painting them onto the canvas. The svg stays
+// in the page either way: it keeps the zoom behaviour, keyboard focus and every state class,
+// and the canvas copies its look from those elements.
+const applyGraphRenderer = () => {
+  if (!graphState.svg || !graphState.zoomLayer) return;
+  const renderer = resolveGraphRenderer(graphState.rendererSetting);
+  graphState.renderer = renderer;
+  graphState.canvasObserver?.disconnect();
+  graphState.svg.classed("is-canvas-rendered", renderer === "canvas").classed("is-over-node", false);
+  elements.graphRaster.hidden = renderer !== "canvas";
+  elements.graphRenderer.title =
+    graphState.rendererSetting === "auto" ? `Using ${GRAPH_RENDERERS[renderer]} for this lineage` : "";
+  if (renderer === "canvas") {
+    graphState.canvasStyles = new Map();
+    graphState.canvasPaths = new Map();
+    if (!graphState.canvasObserver) graphState.canvasObserver = new MutationObserver(requestCanvasDraw);
+    // Class, fill and radius changes on the hidden svg are what repaint the canvas.
+    graphState.canvasObserver.observe(graphState.zoomLayer.node(), {
+      attributes: true,
+      childList: true,
+      characterData: true,
+      subtree: true,
+    });
+    requestCanvasDraw();
+  } else {
+    writeSvgPositions();
+  }
+};
+
+const setGraphRenderer = (setting) => {
+  graphState.rendererSetting = GRAPH_RENDERERS[setting] ? setting : "auto";
+  elements.graphRenderer.value = graphState.rendererSetting;
+  applyGraphRenderer();
+};
+
+const handleGraphRendererChange = () => {
+  setGraphRenderer(elements.graphRenderer.value);
+  syncUrlState({ push: true });
+};
+
+// Runs `callback` with the svg drawn normally, for code that reads positions or computed
+// styles from the elements (such as export).
+const withSvgRendering = (callback) => {
+  if (graphState.renderer !== "canvas") return callback();
+  writeSvgPositions();
+  graphState.svg.classed("is-canvas-rendered", false);
+  try {
+    return callback();
+  } finally {
+    graphState.svg.classed("is-canvas-rendered", true);
+  }
+};
+
+const requestCanvasDraw = () => {
+  if (graphState.renderer !== "canvas" || graphState.canvasFrame) return;
+  graphState.canvasFrame = window.requestAnimationFrame(drawCanvasGraph);
+};
+
+const parseCanvasNumber = (value, fallback) => {
+  const number = Number.parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// The computed style of an svg element, cached by everything that can change it: the classes
+// on it, its node group and the svg, plus its fill. Transitions are switched off while the
+// canvas renders, so a computed style is always the final one.
+const canvasStyle = (element, key) => {
+  const cached = graphState.canvasStyles.get(key);
+  if (cached) return cached;
+  const computed = window.getComputedStyle(element);
+  const paint = (value, attribute) => {
+    const resolved = value || element.getAttribute(attribute);
+    return resolved && resolved !== "none" ? resolved : null;
+  };
+  const dashes = computed.strokeDasharray || element.getAttribute("stroke-dasharray");
+  const style = {
+    visible: computed.display !== "none" && computed.visibility !== "hidden",
+    opacity: parseCanvasNumber(computed.opacity, 1),
+    fill: paint(computed.fill, "fill"),
+    fillOpacity: parseCanvasNumber(computed.fillOpacity, 1),
+    stroke: paint(computed.stroke, "stroke"),
+    strokeOpacity: parseCanvasNumber(computed.strokeOpacity, 1),
+    strokeWidth: parseCanvasNumber(computed.strokeWidth || element.getAttribute("stroke-width"), 1),
+    dash: dashes && dashes !== "none" ? (dashes.match(/[\d.]+/g) || []).map(Number) : [],
+    fontSize: parseCanvasNumber(computed.fontSize, 11),
+    font: `${computed.fontWeight || 600} ${parseCanvasNumber(computed.fontSize, 11)}px ${
+      computed.fontFamily || "Inter, Helvetica Neue, Arial, sans-serif"
+    }`,
+  };
+  graphState.canvasStyles.set(key, style);
+  return style;
+};
+
+const parseTranslate = (value) => {
+  const match = /translate\(\s*([-\d.e]+)[ ,]+([-\d.e]+)\s*\)/.exec(value || "");
+  return match ? [Number(match[1]), Number(match[2])] : [0, 0];
+};
+
+const parseRotation = (value) => {
+  const match = /rotate\(\s*([-\d.e]+)/.exec(value || "");
+  return match ? (Number(match[1]) * Math.PI) / 180 : 0;
+};
+
+const canvasCellPath = (cell) => {
+  const d = cell.getAttribute("d");
+  if (!d) return null;
+  if (!graphState.canvasPaths.has(d)) graphState.canvasPaths.set(d, new Path2D(d));
+  return graphState.canvasPaths.get(d);
+};
+
+// The parts of a node group, in the order initGraph appends them.
+const nodeGroupParts = (group) => {
+  const [cell, circle, label, badge] = group.children;
+  const toggle = group.lastElementChild?.classList.contains("collapse-toggle") ? group.lastElementChild : null;
+  return { cell, circle, label, badge, toggle };
+};
+
+const CANVAS_EMPHASIS_CLASSES = ["selected", "hovered", "lineage-active", "search-match", "compared"];
+
+const drawCanvasText = (context, text, style, { x = 0, y = 0, align = "center", haloWidth = 4 } = {}) => {
+  context.font = style.font;
+  context.textAlign = align;
+  context.textBaseline = "alphabetic";
+  context.lineJoin = "round";
+  if (style.stroke) {
+    context.strokeStyle = style.stroke;
+    context.lineWidth = haloWidth;
+    context.setLineDash([]);
+    context.strokeText(text, x, y);
+  }
+  context.fillStyle = style.fill ?? "#1c233a";
+  context.fillText(text, x, y);
+};
+
+const textOffset = (value, fontSize) => {
+  if (typeof value === "string" && value.endsWith("em")) return Number.parseFloat(value) * fontSize;
+  return parseCanvasNumber(value, 0);
+};
+
+const drawCanvasGraph = () => {
+  graphState.canvasFrame = null;
+  const canvas = elements.graphRaster;
+  const context = canvas.getContext("2d");
+  if (graphState.renderer !== "canvas" || !context || !graphState.nodeSelection) return;
+
+  // Match the svg's viewBox (preserveAspectRatio "xMidYMid meet") and the current zoom.
+  const bounds = canvas.getBoundingClientRect();
+  const ratio = window.devicePixelRatio || 1;
+  const pixelWidth = Math.max(1, Math.round(bounds.width * ratio));
+  const pixelHeight = Math.max(1, Math.round(bounds.height * ratio));
+  if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+    canvas.width = pixelWidth;
+    canvas.height = pixelHeight;
+  }
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  context.clearRect(0, 0, pixelWidth, pixelHeight);
+  const { width, height } = graphState.size;
+  const fit = Math.min(bounds.width / width, bounds.height / height) || 1;
+  const offsetX = (bounds.width - width * fit) / 2;
+  const offsetY = (bounds.height - height * fit) / 2;
+  const transform = graphState.currentTransform;
+  const scale = ratio * fit * transform.k;
+  context.setTransform(scale, 0, 0, scale, ratio * (offsetX + fit * transform.x), ratio * (offsetY + fit * transform.y));
+  const screenScale = fit * transform.k;
+  const svgClass = graphState.svg.attr("class");
+  const partition = graphState.svg.classed("layout-partition");
+
+  // Links sharing a style are stroked as one path.
+  const linkBatches = new Map();
+  graphState.linkSelection.each(function collectLink(link) {
+    const key = `${svgClass}|${this.getAttribute("class")}`;
+    const style = canvasStyle(this, key);
+    if (!style.visible || !style.opacity || !style.stroke) return;
+    if (!linkBatches.has(key)) linkBatches.set(key, { style, links: [] });
+    linkBatches.get(key).links.push(link);
+  });
+  linkBatches.forEach(({ style, links }) => {
+    context.beginPath();
+    links.forEach((link) => {
+      context.moveTo(link.source.x, link.source.y);
+      context.lineTo(link.target.x, link.target.y);
+    });
+    context.globalAlpha = style.opacity * style.strokeOpacity;
+    context.strokeStyle = style.stroke;
+    context.lineWidth = style.strokeWidth;
+    context.setLineDash(style.dash);
+    context.stroke();
+  });
+
+  const focused = document.activeElement;
+  Array.from(graphState.zoomLayer.select(".graph-nodes").node().children).forEach((group) => {
+    const node = group.__data__;
+    const groupClass = group.getAttribute("class");
+    const groupStyle = canvasStyle(group, `${svgClass}|${groupClass}`);
+    if (!groupStyle.visible || !Number.isFinite(node.x) || !Number.isFinite(node.y)) return;
+    const parts = nodeGroupParts(group);
+    const radius = parseCanvasNumber(parts.circle.getAttribute("r"), layoutNodeRadius(node));
+    context.save();
+    context.translate(node.x, node.y);
+
+    const shape = partition ? parts.cell : parts.circle;
+    const shapeStyle = canvasStyle(
+      shape,
+      `${svgClass}|${groupClass}|${shape.getAttribute("class")}|${shape.getAttribute("fill")}|${shape.getAttribute("stroke")}`
+    );
+    const path = partition ? canvasCellPath(parts.cell) : null;
+    if (shapeStyle.visible && shapeStyle.opacity && (path || !partition)) {
+      context.save();
+      if (path) {
+        const [dx, dy] = parseTranslate(parts.cell.getAttribute("transform"));
+        context.translate(dx, dy);
+      } else {
+        context.beginPath();
+        context.arc(0, 0, radius, 0, Math.PI * 2);
+      }
+      context.globalAlpha = groupStyle.opacity * shapeStyle.opacity;
+      if (shapeStyle.fill) {
+        context.fillStyle = shapeStyle.fill;
+        context.globalAlpha *= shapeStyle.fillOpacity;
+        if (path) context.fill(path);
+        else context.fill();
+        context.globalAlpha = groupStyle.opacity * shapeStyle.opacity;
+      }
+      if (shapeStyle.stroke && shapeStyle.strokeWidth > 0) {
+        context.strokeStyle = shapeStyle.stroke;
+        context.globalAlpha *= shapeStyle.strokeOpacity;
+        context.lineWidth = shapeStyle.strokeWidth;
+        context.setLineDash(shapeStyle.dash);
+        if (path) context.stroke(path);
+        else context.stroke();
+      }
+      context.restore();
+    }
+    if (focused === group && !partition) {
+      // Stands in for the :focus-visible outline, which the hidden svg cannot show.
+      context.beginPath();
+      context.arc(0, 0, radius + 5.5, 0, Math.PI * 2);
+      context.globalAlpha = 1;
+      context.strokeStyle = "rgba(26, 61, 143, 0.45)";
+      context.lineWidth = 3;
+      context.setLineDash([]);
+      context.stroke();
+    }
+
+    // Small labels are unreadable and the most expensive thing to paint, so they are skipped
+    // until the view is zoomed in, unless the node is highlighted.
+    const labelStyle = canvasStyle(parts.label, `${svgClass}|${groupClass}|${parts.label.getAttribute("class")}`);
+    const emphasised = CANVAS_EMPHASIS_CLASSES.some((className) => group.classList.contains(className));
+    if (labelStyle.visible && labelStyle.opacity && (emphasised || labelStyle.fontSize * screenScale >= 6)) {
+      context.save();
+      context.globalAlpha = groupStyle.opacity * labelStyle.opacity;
+      context.rotate(parseRotation(parts.label.getAttribute("transform")));
+      const anchor = parts.label.getAttribute("text-anchor");
+      drawCanvasText(context, parts.label.textContent, labelStyle, {
+        x: textOffset(parts.label.getAttribute("dx"), labelStyle.fontSize),
+        y: textOffset(parts.label.getAttribute("dy"), labelStyle.fontSize),
+        align: anchor === "start" ? "left" : anchor === "end" ? "right" : "center",
+        haloWidth: labelStyle.strokeWidth,
+      });
+      context.restore();
+    }
+    const badgeStyle = canvasStyle(parts.badge, `${svgClass}|${groupClass}|badge`);
+    if (badgeStyle.visible && badgeStyle.opacity) {
+      context.globalAlpha = groupStyle.opacity * badgeStyle.opacity;
+      drawCanvasText(context, parts.badge.textContent.toUpperCase(), badgeStyle, {
+        y: textOffset(parts.badge.getAttribute("dy"), badgeStyle.fontSize),
+        haloWidth: badgeStyle.strokeWidth,
+      });
+    }
+    if (parts.toggle) {
+      const toggleStyle = canvasStyle(parts.toggle, `${svgClass}|${groupClass}|toggle`);
+      const [toggleCircle, icon, count] = parts.toggle.children;
+      const circleStyle = canvasStyle(toggleCircle, "toggle-circle");
+      if (toggleStyle.visible && toggleStyle.opacity) {
+        const [tx, ty] = parseTranslate(parts.toggle.getAttribute("transform"));
+        context.globalAlpha = groupStyle.opacity * toggleStyle.opacity;
+        context.beginPath();
+        context.arc(tx, ty, 7, 0, Math.PI * 2);
+        context.fillStyle = circleStyle.fill ?? "#ffffff";
+        context.fill();
+        context.strokeStyle = circleStyle.stroke ?? "#1a3d8f";
+        context.lineWidth = circleStyle.strokeWidth;
+        context.setLineDash([]);
+        context.stroke();
+        const iconStyle = canvasStyle(icon, "toggle-icon");
+        drawCanvasText(context, icon.textContent, { ...iconStyle, stroke: null }, { x: tx, y: ty + iconStyle.fontSize * 0.35 });
+        if (count.textContent) {
+          const countStyle = canvasStyle(count, "toggle-count");
+          drawCanvasText(context, count.textContent, countStyle, {
+            x: tx + 11,
+            y: ty + countStyle.fontSize * 0.35,
+            align: "left",
+            haloWidth: countStyle.strokeWidth,
+          });
+        }
+      }
+    }
+    context.restore();
+  });
+  context.globalAlpha = 1;
+};
+
+// Finds the node (or its collapse toggle) under a point in graph coordinates, front to back.
+const hitTestCanvasGraph = ([x, y]) => {
+  if (!graphState.zoomLayer || !Number.isFinite(x) || !Number.isFinite(y)) return null;
+  const svgClass = graphState.svg.attr("class");
+  const partition = graphState.svg.classed("layout-partition");
+  const context = elements.graphRaster.getContext("2d");
+  const groups = Array.from(graphState.zoomLayer.select(".graph-nodes").node().children).reverse();
+  for (const group of groups) {
+    const node = group.__data__;
+    if (!canvasStyle(group, `${svgClass}|${group.getAttribute("class")}`).visible) continue;
+    const parts = nodeGroupParts(group);
+    const localX = x - node.x;
+    const localY = y - node.y;
+    if (parts.toggle) {
+      const [tx, ty] = parseTranslate(parts.toggle.getAttribute("transform"));
+      if (Math.hypot(localX - tx, localY - ty) <= 8) return { node, toggle: true };
+    }
+    if (partition) {
+      const path = canvasCellPath(parts.cell);
+      const [dx, dy] = parseTranslate(parts.cell.getAttribute("transform"));
+      if (path && context?.isPointInPath(path, localX - dx, localY - dy)) return { node, toggle: false };
+    } else if (Math.hypot(localX, localY) <= parseCanvasNumber(parts.circle.getAttribute("r"), layoutNodeRadius(node)) + 2) {
+      return { node, toggle: false };
+    }
+  }
+  return null;
+};
+
+// Clicks on the canvas renderer arrive at the svg background; returns whether one hit a node.
+const handleCanvasGraphClick = (event) => {
+  if (graphState.renderer !== "canvas") return false;
+  const hit = hitTestCanvasGraph(d3.pointer(event, graphState.zoomLayer.node()));
+  if (!hit) return false;
+  if (hit.toggle) toggleNodeCollapse(hit.node.id);
+  else if (event.shiftKey) toggleComparison(hit.node.id);
+  else selectNode(hit.node.id);
+  return true;
+};
+
+const handleCanvasGraphHover = (event) => {
+  if (graphState.renderer !== "canvas" || event.buttons) return;
+  const hit = hitTestCanvasGraph(d3.pointer(event, graphState.zoomLayer.node()));
+  graphState.svg.classed("is-over-node", Boolean(hit));
+  const nodeId = hit?.node.id ?? null;
+  if (nodeId !== graphState.hoveredId) applyHoverHighlight(nodeId);
+};
+
+// The hierarchical layouts use the breadth-first spanning tree from computeVisibility, so each
+// co-advised student hangs under the first advisor one generation above them.
+const buildLayoutHierarchy = () => {
+  const nodes = Array.from(graphState.nodesById.values()).filter((node) =>
+    graphState.visibleIds.has(node.id)
+  );
+  return d3
+    .stratify()
+    .id((node) => node.id)
+    .parentId((node) => graphState.layoutParentById.get(node.id) ?? null)(nodes);
+};
 
-      if (nextParent === rootId) {
-        clusterCandidate = current;
-        break;
-      }
+const labelForPoint = (radius, { leaf = false, rotate = false } = {}) => {
+  if (rotate && leaf) {
+    return { anchor: "start", transform: "rotate(90)", dx: radius + 6, dy: "0.35em" };
+  }
+  return { anchor: "middle", transform: null, dx: 0, dy: radius + 18 };
+};
 
-      visited.add(nextParent);
-      current = nextParent;
-    }
+const labelForAngle = (radius, angle) => {
+  const degrees = (angle * 180) / Math.PI - 90;
+  if (angle < Math.PI) {
+    return { anchor: "start", transform: `rotate(${degrees})`, dx: radius + 6, dy: "0.35em" };
+  }
+  return { anchor: "end", transform: `rotate(${degrees + 180})`, dx: -(radius + 6), dy: "0.35em" };
+};
 
-    const resolved = clusterCandidate === nodeId ? nodeId : clusterCandidate;
-    visited.forEach((visitedId) => {
-      if (!clusterCache.has(visitedId)) {
-        clusterCache.set(visitedId, visitedId === rootId ? rootId : resolved);
-      }
+// Returns a Map of node id -> { x, y, cell, label } for one of the hierarchical layouts,
+// centered on the same origin the force layout uses so transitions stay in place.
+const computeLayoutPositions = (layout) => {
+  const hierarchy = buildLayoutHierarchy();
+  const { width, height } = graphState.size;
+  const originX = width / 2;
+  const originY = height / 2;
+  const positions = new Map();
+
+  if (layout === "tree") {
+    hierarchy.sort((a, b) => d3.ascending(a.data.name, b.data.name));
+    d3.tree().nodeSize([24, 150])(hierarchy);
+    const top = originY - (hierarchy.height * 150) / 2;
+    hierarchy.each((item) => {
+      positions.set(item.id, {
+        x: originX + item.x,
+        y: top + item.y,
+        cell: null,
+        label: labelForPoint(compactNodeRadius(item.data), { leaf: !item.children, rotate: true }),
+      });
     });
-    clusterCache.set(nodeId, resolved);
-    return resolved;
-  };
+    return positions;
+  }
 
-  const nodes = state.nodes.map((node) => ({
-    ...node,
-    clusterId: getClusterId(node.id),
-  }));
+  if (layout === "radial") {
+    hierarchy.sort((a, b) => d3.ascending(a.data.name, b.data.name));
+    const leafCount = hierarchy.leaves().length;
+    const radius = Math.max(hierarchy.height * 150, (leafCount * 20) / (2 * Math.PI));
+    d3.tree()
+      .size([2 * Math.PI, radius])
+      .separation((a, b) => (a.parent === b.parent ? 1 : 2) / Math.max(1, a.depth))(hierarchy);
+    hierarchy.each((item) => {
+      const nodeR = compactNodeRadius(item.data);
+      positions.set(item.id, {
+        x: originX + Math.cos(item.x - Math.PI / 2) * item.y,
+        y: originY + Math.sin(item.x - Math.PI / 2) * item.y,
+        cell: null,
+        label: item.depth === 0 ? labelForPoint(nodeR) : labelForAngle(nodeR, item.x),
+      });
+    });
+    return positions;
+  }
 
-  const links = state.edges.map((edge) => ({
-    source: edge.from,
-    target: edge.to,
-  }));
-  console.info("Graph data ready", { nodeCount: nodes.length, linkCount: links.length });
+  // Partition views size each cell by the person's lineage (themselves plus descendants). A person
+  // weighs whatever part of it their visible students do not already cover, so collapsed
+  // branches keep their full size and no cell counts fewer than total_descendants + 1 people.
+  const lineageSize = (node) => 1 + (node.total_descendants ?? 0);
+  const coveredById = new Map();
+  hierarchy.each((item) => {
+    coveredById.set(item.id, d3.sum(item.children ?? [], (child) => lineageSize(child.data)));
+  });
+  hierarchy
+    .sum((node) => Math.max(1, lineageSize(node) - coveredById.get(node.id)))
+    .sort((a, b) => b.value - a.value || d3.ascending(a.data.name, b.data.name));
 
-  graphState.maxDepth = d3.max(nodes, (node) => node.depth ?? 0) ?? 0;
-  graphState.directAdvisees = nodes.filter((node) => node.id !== rootId && node.clusterId === node.id);
-  graphState.parentByChild = parentByChild;
-  graphState.childrenByParent = childrenByParent;
-  graphState.depthById = depthById;
-  graphState.maxInfluence = d3.max(nodes, (node) => computeInfluenceScore(node)) ?? 0;
-  graphState.maxDescendants = d3.max(nodes, (node) => node.total_descendants ?? 0) ?? 0;
-  graphState.clusterCenters = computeClusterCenters(width, height, graphState.directAdvisees, rootId);
-  graphState.nodesById = new Map(nodes.map((node) => [node.id, node]));
+  if (layout === "icicle") {
+    const columnWidth = 190;
+    const totalHeight = Math.max(height, hierarchy.value * 14);
+    d3.partition().size([totalHeight, (hierarchy.height + 1) * columnWidth])(hierarchy);
+    const left = originX - ((hierarchy.height + 1) * columnWidth) / 2;
+    const top = originY - totalHeight / 2;
+    hierarchy.each((item) => {
+      const cellWidth = Math.max(0, item.y1 - item.y0 - 1);
+      const cellHeight = Math.max(0, item.x1 - item.x0 - 1);
+      positions.set(item.id, {
+        x: left + (item.y0 + item.y1) / 2,
+        y: top + (item.x0 + item.x1) / 2,
+        cell: `M${-cellWidth / 2},${-cellHeight / 2}h${cellWidth}v${cellHeight}h${-cellWidth}Z`,
+        label: { anchor: "middle", transform: null, dx: 0, dy: "0.35em", hidden: cellHeight < 11 },
+      });
+    });
+    return positions;
+  }
 
-  const nodeRadius = (node) => {
-    const totalDesc = Math.max(0, node.total_descendants ?? 0);
-    const compareMax = graphState.maxDescendants || 1;
-    const normalized = normalizeValue(Math.sqrt(totalDesc), Math.sqrt(compareMax));
-    const descendantBonus = 10 + normalized * 42;
-    const directBonus = node.direct_advisee_count
-      ? Math.min(11, Math.sqrt(node.direct_advisee_count) * 2.9)
-      : 0;
-    const computedRadius = Math.max(11, descendantBonus + directBonus);
-    if (node.id === state.data.root) {
-      return computedRadius * 1.15;
-    }
-    return computedRadius;
-  };
+  // Leave roughly 16px of arc per person so most outer rings keep a readable label.
+  const radius = Math.max(
+    Math.min(width, height) / 2,
+    (hierarchy.height + 1) * 110,
+    (hierarchy.value * 16) / Math.PI
+  );
+  d3.partition().size([2 * Math.PI, radius])(hierarchy);
+  const arc = d3
+    .arc()
+    .startAngle((item) => item.x0)
+    .endAngle((item) => item.x1)
+    .padAngle(0.002)
+    .innerRadius((item) => item.y0)
+    .outerRadius((item) => Math.max(item.y0, item.y1 - 1));
+  hierarchy.each((item) => {
+    const [cx, cy] = item.depth === 0 ? [0, 0] : arc.centroid(item);
+    const midAngle = (item.x0 + item.x1) / 2;
+    const degrees = (midAngle * 180) / Math.PI - 90;
+    const arcLength = (item.x1 - item.x0) * ((item.y0 + item.y1) / 2);
+    positions.set(item.id, {
+      x: originX + cx,
+      y: originY + cy,
+      cell: arc(item),
+      cellOffset: [-cx, -cy],
+      label:
+        item.depth === 0
+          ? { anchor: "middle", transform: null, dx: 0, dy: "0.35em" }
+          : {
+              anchor: "middle",
+              transform: `rotate(${midAngle < Math.PI ? degrees : degrees + 180})`,
+              dx: 0,
+              dy: "0.35em",
+              hidden: arcLength < 12,
+            },
+    });
+  });
+  return positions;
+};
 
-  const zoom = d3
-    .zoom()
-    .scaleExtent([0.3, 4])
-    .on("zoom", (event) => {
-      graphState.currentTransform = event.transform;
-      graphState.zoomLayer.attr("transform", event.transform);
+const applyLayoutShapes = (positions) => {
+  const nodeSelection = graphState.nodeSelection;
+  nodeSelection
+    .select(".graph-node-cell")
+    .attr("d", (node) => positions?.get(node.id)?.cell ?? null)
+    .attr("transform", (node) => {
+      const offset = positions?.get(node.id)?.cellOffset;
+      return offset ? `translate(${offset[0]}, ${offset[1]})` : null;
     });
-  svg.call(zoom).on("dblclick.zoom", null);
-  svg.on("click", (event) => {
-    // Ignore clicks that originated from nodes (they stop propagation)
-    if (event.defaultPrevented) return;
-    clearLineageHighlight();
-    highlightGraphSelection(null);
+  nodeSelection
+    .select(".graph-node-circle")
+    .transition()
+    .duration(LAYOUT_TRANSITION_MS)
+    .attr("r", (node) => layoutNodeRadius(node));
+  nodeSelection
+    .select(".hover-badge")
+    .attr("dy", (node) => -layoutNodeRadius(node) - 12);
+  nodeSelection.select(".graph-node-focus-ring").attr("r", (node) => layoutNodeRadius(node) + 5.5);
+  nodeSelection.select(".collapse-toggle").attr("transform", (node) => {
+    const offset = layoutNodeRadius(node) * 0.72 + 2;
+    return `translate(${offset}, ${-offset})`;
   });
-  graphState.zoom = zoom;
-  graphState.currentTransform = d3.zoomIdentity;
+  nodeSelection
+    .select(".node-label")
+    .each(function applyLabel(node) {
+      const label = positions?.get(node.id)?.label ?? labelForPoint(nodeRadius(node));
+      d3.select(this)
+        .attr("text-anchor", label.anchor)
+        .attr("transform", label.transform)
+        .attr("dx", label.dx)
+        .attr("dy", label.dy === undefined ? null : label.dy)
+        .classed("label-hidden", !!label.hidden);
+    });
+};
 
-  const drag = d3
-    .drag()
-    .on("start", (event, node) => {
-      if (!event.active && graphState.simulation) {
-        graphState.simulation.alphaTarget(0.3).restart();
-      }
-      node.fx = node.x;
-      node.fy = node.y;
-    })
-    .on("drag", (event, node) => {
-      node.fx = event.x;
-      node.fy = event.y;
+const animateNodePositions = (targets, { duration = LAYOUT_TRANSITION_MS, onEnd } = {}) => {
+  const nodes = Array.from(graphState.nodesById.values());
+  const starts = new Map(nodes.map((node) => [node.id, { x: node.x ?? 0, y: node.y ?? 0 }]));
+  const finish = () => {
+    nodes.forEach((node) => {
+      const target = targets.get(node.id);
+      if (!target) return;
+      node.x = target.x;
+      node.y = target.y;
+    });
+    renderGraphPositions();
+    if (onEnd) onEnd();
+  };
+  if (!duration) {
+    finish();
+    return;
+  }
+  graphState.svg
+    .transition("layout")
+    .duration(duration)
+    .ease(d3.easeCubicInOut)
+    .tween("layout", () => (t) => {
+      nodes.forEach((node) => {
+        const start = starts.get(node.id);
+        const target = targets.get(node.id);
+        if (!start || !target) return;
+        node.x = start.x + (target.x - start.x) * t;
+        node.y = start.y + (target.y - start.y) * t;
+      });
+      renderGraphPositions();
     })
-    .on("end", (event, node) => {
-      if (!event.active && graphState.simulation) {
-        graphState.simulation.alphaTarget(0);
+    .on("end", finish);
+};
+
+const setGraphLayout = (layout, { animate = true, fit = true, force = false } = {}) => {
+  if (!GRAPH_LAYOUTS[layout] || !graphState.nodeSelection) return;
+  if (layout === graphState.layout && !force) return;
+  const previousLayout = graphState.layout;
+  const nodes = Array.from(graphState.nodesById.values());
+
+  let targets;
+  if (layout === "force") {
+    targets = new Map(
+      nodes.map((node) => [node.id, graphState.forcePositions.get(node.id) ?? { x: node.x, y: node.y }])
+    );
+  } else {
+    try {
+      targets = computeLayoutPositions(layout);
+    } catch (error) {
+      console.error(`Unable to compute the ${layout} layout`, error);
+      elements.layoutSelect.value = previousLayout;
+      return;
+    }
+    if (previousLayout === "force") {
+      graphState.forcePositions = new Map(nodes.map((node) => [node.id, { x: node.x, y: node.y }]));
+    }
+    stopForceLayout();
+  }
+
+  graphState.layout = layout;
+  elements.layoutSelect.value = layout;
+  renderGraphError();
+  graphState.svg
+    .attr("data-layout", layout)
+    .classed("layout-partition", PARTITION_LAYOUTS.has(layout));
+  applyLayoutShapes(layout === "force" ? null : targets);
+
+  const duration = animate ? LAYOUT_TRANSITION_MS : 0;
+  animateNodePositions(targets, {
+    duration,
+    onEnd: () => {
+      if (graphState.layout !== layout) return;
+      if (layout === "force") {
+        // Without a remembered force arrangement the simulation has to settle from scratch.
+        configureForceLayout();
+        runForceLayout({ alpha: graphState.forcePositions.size ? 0.12 : 1 });
       }
-      if (node.id === rootId) {
-        node.fx = graphState.size.width / 2;
-        node.fy = graphState.size.height / 2;
-      } else {
-        node.fx = null;
-        node.fy = null;
+      if (fit && graphState.initialFocusDone) {
+        focusGraphBounds({ padding: 160, maxScale: 1, minScale: 0.08 });
       }
-    });
-
-  const linkSelection = linkGroup
-    .selectAll("line")
-    .data(links)
-    .join("line")
-    .attr("class", "graph-link")
-    .attr("stroke-width", 1.2);
+    },
+  });
+  syncUrlState({ push: true });
+};
 
-  const nodeSelection = nodeGroup
-    .selectAll("g")
-    .data(nodes, (node) => node.id)
-    .join((enter) => {
-      const group = enter.append("g").attr("class", "graph-node");
-      group
-        .append("circle")
-        .attr("class", (node) => (node.id === rootId ? "graph-node-circle root" : "graph-node-circle"))
-        .attr("r", (node) => nodeRadius(node))
-        .attr("fill", (node) => pickDepthColor(node.depth))
-        .attr("stroke", (node) => (node.id === rootId ? "#143166" : "#ffffff"))
-        .attr("stroke-width", (node) => (node.id === rootId ? 3 : 1.5));
-      group
-        .append("text")
-        .attr("class", "node-label")
-        .attr("text-anchor", "middle")
-        .attr("dy", (node) => nodeRadius(node) + 18)
-        .text((node) => node.name);
-      group
-        .append("text")
-        .attr("class", "hover-badge")
-        .attr("text-anchor", "middle")
-        .attr("dy", (node) => -nodeRadius(node) - 12)
-        .text((node) => (node.depth === 0 ? "Root" : `Gen ${node.depth}`));
-      group.append("title").text((node) => buildTooltip(node));
-      return group;
+// Walks down from the root without entering collapsed nodes. The parent that first reaches a
+// node doubles as its parent in the hierarchical layouts.
+const computeVisibility = () => {
+  const visibleIds = new Set([state.rootId]);
+  const layoutParentById = new Map();
+  const queue = [state.rootId];
+  for (let index = 0; index < queue.length; index += 1) {
+    const current = queue[index];
+    if (graphState.collapsedIds.has(current)) continue;
+    (graphState.childrenByParent.get(current) || []).forEach((child) => {
+      if (visibleIds.has(child) || !graphState.nodesById.has(child)) return;
+      visibleIds.add(child);
+      layoutParentById.set(child, current);
+      queue.push(child);
     });
+  }
+  graphState.visibleIds = visibleIds;
+  graphState.layoutParentById = layoutParentById;
+};
 
-  nodeSelection
-    .attr("tabindex", 0)
-    .attr("role", "button")
-    .call(drag)
-    .on("click", (event, node) => {
-      event.stopPropagation();
-      selectNode(node.id);
-    })
-    .on("dblclick", (event, node) => {
-      event.stopPropagation();
-      openProfileLink(node);
-    })
-    .on("mouseover", (event, node) => {
-      applyHoverHighlight(node.id);
-    })
-    .on("mouseout", () => {
-      applyHoverHighlight(null);
-    })
-    .on("focus", (event, node) => {
-      applyHoverHighlight(node.id);
-    })
-    .on("blur", () => {
-      applyHoverHighlight(null);
-    })
-    .on("keydown", (event, node) => {
-      if (event.key === "Enter" || event.key === " ") {
-        event.preventDefault();
-        selectNode(node.id, { focus: event.key === "Enter" });
-      }
+const countHiddenDescendants = (nodeId) => {
+  const seen = new Set([nodeId]);
+  const stack = [nodeId];
+  let hidden = 0;
+  while (stack.length) {
+    (graphState.childrenByParent.get(stack.pop()) || []).forEach((child) => {
+      if (seen.has(child)) return;
+      seen.add(child);
+      stack.push(child);
+      if (!graphState.visibleIds.has(child)) hidden += 1;
     });
+  }
+  return hidden;
+};
 
-  nodeSelection.classed("is-root", (node) => node.id === rootId);
+const applyCollapseState = ({ animate = true } = {}) => {
+  if (!graphState.nodeSelection) return;
+  const previouslyVisible = graphState.visibleIds;
+  computeVisibility();
+  const { visibleIds, collapsedIds } = graphState;
+  const nodes = Array.from(graphState.nodesById.values());
 
-  graphState.nodeSelection = nodeSelection;
-  graphState.linkSelection = linkSelection;
-  applyHoverHighlight(null);
+  // Newly revealed students emerge from the advisor that was hiding them, fanned out on a
+  // fixed spiral so expanding the same node always unfolds the same way.
+  let revealed = 0;
+  nodes.forEach((node) => {
+    if (!visibleIds.has(node.id) || previouslyVisible.has(node.id)) return;
+    const parent = graphState.nodesById.get(graphState.layoutParentById.get(node.id));
+    if (parent && Number.isFinite(parent.x)) {
+      const angle = revealed * Math.PI * (3 - Math.sqrt(5));
+      node.x = parent.x + Math.cos(angle) * 10;
+      node.y = parent.y + Math.sin(angle) * 10;
+      revealed += 1;
+    }
+  });
 
-  const linkDistance = (link) => {
-    const sourceDepth =
-      typeof link.source === "object" ? link.source.depth : depthById.get(link.source) ?? 0;
-    const targetDepth =
-      typeof link.target === "object" ? link.target.depth : depthById.get(link.target) ?? 0;
-    let baseDistance;
-    if (sourceDepth === 0) baseDistance = 220;
-    else if (sourceDepth === 1 && targetDepth > 1) baseDistance = 160;
-    else baseDistance = 90 + targetDepth * 30;
-
-    const sourceNode = typeof link.source === "object" ? link.source : graphState.nodesById.get(link.source);
-    const influenceBoost = normalizeInfluence(sourceNode, graphState.maxInfluence);
-    const influenceMultiplier = 1 + influenceBoost * 0.6;
-    return baseDistance * influenceMultiplier;
-  };
-
-  const simulation = d3
-    .forceSimulation(nodes)
-    .force("link", d3.forceLink(links).id((node) => node.id).distance(linkDistance).strength(0.9))
-    .force("charge", d3.forceManyBody().strength(-220))
-    .force("center", d3.forceCenter(width / 2, height / 2))
-    .force("collide", d3.forceCollide().radius((node) => nodeRadius(node) + 14).strength(1.2))
-    .force(
-      "radial",
-      d3.forceRadial((node) => radialRadius(node.depth), width / 2, height / 2).strength(0.3)
-    )
-    .force(
-      "clusterX",
-      d3.forceX((node) => getClusterTarget(node).x).strength((node) =>
-        node.depth === 0 ? 0.62 : 0.15
-      )
-    )
-    .force(
-      "clusterY",
-      d3.forceY((node) => getClusterTarget(node).y).strength((node) =>
-        node.depth === 0 ? 0.62 : 0.15
-      )
-    )
-    .alphaDecay(0.024)
-    .on("tick", () => {
-      linkSelection
-        .attr("x1", (link) => link.source.x)
-        .attr("y1", (link) => link.source.y)
-        .attr("x2", (link) => link.target.x)
-        .attr("y2", (link) => link.target.y);
-      nodeSelection.attr("transform", (node) => `translate(${node.x}, ${node.y})`);
+  graphState.nodeSelection
+    .classed("collapsed-hidden", (node) => !visibleIds.has(node.id))
+    .classed("collapsed", (node) => collapsedIds.has(node.id))
+    .attr("aria-expanded", (node) =>
+      (graphState.childrenByParent.get(node.id) || []).length ? String(!collapsedIds.has(node.id)) : null
+    );
+  graphState.nodeSelection.select(".collapse-toggle-icon").text((node) => (collapsedIds.has(node.id) ? "+" : "−"));
+  graphState.nodeSelection
+    .select(".collapse-count")
+    .text((node) => {
+      if (!collapsedIds.has(node.id)) return "";
+      const hidden = countHiddenDescendants(node.id);
+      return hidden ? `+${formatNumber(hidden)}` : "";
     });
 
-  graphState.simulation = simulation;
-  scheduleInitialFocus();
+  const isLinkVisible = (link) => visibleIds.has(link.source.id) && visibleIds.has(link.target.id);
+  graphState.linkSelection.classed("collapsed-hidden", (link) => !isLinkVisible(link));
 
-  const rootNode = graphState.nodesById.get(rootId);
-  if (rootNode) {
-    rootNode.fx = width / 2;
-    rootNode.fy = height / 2;
+  configureForceLayout();
+  if (graphState.layout === "force") {
+    renderGraphPositions();
+    if (animate) {
+      runForceLayout({ alpha: 0.5 });
+    }
+  } else {
+    setGraphLayout(graphState.layout, { animate, fit: false, force: true });
   }
+};
 
-  if (typeof ResizeObserver !== "undefined") {
-    const resizeObserver = new ResizeObserver((entries) => {
-      for (const entry of entries) {
-        if (entry.target !== container) continue;
-        const newWidth = entry.contentRect.width || container.clientWidth || width;
-        const newHeight = entry.contentRect.height || container.clientHeight || height;
-        if (!newWidth || !newHeight) continue;
-        graphState.size = { width: newWidth, height: newHeight };
-        svg.attr("viewBox", `0 0 ${newWidth} ${newHeight}`);
-        graphState.clusterCenters = computeClusterCenters(
-          newWidth,
-          newHeight,
-          graphState.directAdvisees,
-          rootId
-        );
-        graphState.simulation
-          .force("center", d3.forceCenter(newWidth / 2, newHeight / 2))
-          .force(
-            "radial",
-            d3.forceRadial((node) => radialRadius(node.depth), newWidth / 2, newHeight / 2).strength(
-              0.3
-            )
-          );
-        const lockedRoot = graphState.nodesById.get(rootId);
-        if (lockedRoot) {
-          lockedRoot.fx = newWidth / 2;
-          lockedRoot.fy = newHeight / 2;
-        }
-        graphState.simulation.alpha(0.35).restart();
-        if (!graphState.initialFocusDone) {
-          scheduleInitialFocus();
-        } else {
-          const currentScale = graphState.currentTransform?.k ?? 1;
-          focusGraphNode(state.data.root, { scale: currentScale });
-        }
-      }
-    });
-    resizeObserver.observe(container);
-    graphState.resizeObserver = resizeObserver;
+const setNodeCollapsed = (nodeId, collapsed) => {
+  if (!(graphState.childrenByParent.get(nodeId) || []).length) return;
+  if (collapsed === graphState.collapsedIds.has(nodeId)) return;
+  if (collapsed) {
+    graphState.collapsedIds.add(nodeId);
   } else {
-    console.warn("ResizeObserver not supported; graph will not adapt to container size changes.");
+    graphState.collapsedIds.delete(nodeId);
   }
+  applyCollapseState();
+};
 
-  selectNode(state.data.root);
-  console.timeEnd("initGraph");
+const toggleNodeCollapse = (nodeId) => {
+  setNodeCollapsed(nodeId, !graphState.collapsedIds.has(nodeId));
+};
+
+// Expands every collapsed ancestor so a node picked from the roster or URL is on screen.
+const revealNode = (nodeId) => {
+  if (graphState.visibleIds.has(nodeId)) return;
+  const seen = new Set([nodeId]);
+  const queue = [nodeId];
+  while (queue.length) {
+    getParents(queue.shift()).forEach((parent) => {
+      if (seen.has(parent)) return;
+      seen.add(parent);
+      graphState.collapsedIds.delete(parent);
+      queue.push(parent);
+    });
+  }
+  applyCollapseState();
+};
+
+const expandToGeneration = (generation) => {
+  graphState.collapsedIds = new Set(
+    Array.from(graphState.nodesById.keys()).filter(
+      (nodeId) =>
+        graphState.depthById.get(nodeId) >= generation &&
+        (graphState.childrenByParent.get(nodeId) || []).length > 0
+    )
+  );
+  applyCollapseState();
+};
+
+const expandAllNodes = () => {
+  graphState.collapsedIds = new Set();
+  applyCollapseState();
+};
+
+const collapseToSelectedLineage = () => {
+  const selectedId = state.selectedNodeId ?? state.rootId;
+  updateLineageHighlight(selectedId);
+  const keepExpanded = new Set(graphState.lineageNodes);
+  keepExpanded.add(selectedId);
+  graphState.collapsedIds = new Set(
+    Array.from(graphState.nodesById.keys()).filter(
+      (nodeId) => !keepExpanded.has(nodeId) && (graphState.childrenByParent.get(nodeId) || []).length > 0
+    )
+  );
+  applyCollapseState();
+};
+
+const populateExpandDepthOptions = () => {
+  const select = elements.expandDepth;
+  Array.from(select.options)
+    .filter((option) => option.value !== "")
+    .forEach((option) => option.remove());
+  for (let depth = 1; depth <= graphState.maxDepth; depth += 1) {
+    const option = document.createElement("option");
+    option.value = String(depth);
+    option.textContent = depth === 1 ? "Generation 1" : `Generations 1–${depth}`;
+    select.appendChild(option);
+  }
+  select.value = "";
+};
+
+const handleExpandDepthChange = () => {
+  const generation = Number(elements.expandDepth.value);
+  elements.expandDepth.value = "";
+  if (Number.isFinite(generation) && generation > 0) {
+    expandToGeneration(generation);
+  }
+};
+
+const handleLayoutChange = () => {
+  setGraphLayout(elements.layoutSelect.value);
 };
 
 const buildTooltip = (node) => {
@@ -862,6 +5824,164 @@ const pickDepthColor = (depth) => {
   return depthColors[depth % depthColors.length];
 };
 
+const COLOR_ENCODINGS = {
+  gen: "Generation",
+  branch: "First-generation branch",
+  institution: "Institution",
+  country: "Country",
+  sector: "Academia vs industry",
+  topic: "Dominant topic",
+};
+const SIZE_ENCODINGS = {
+  descendants: "PhD lineage size",
+  students: "Direct PhD students",
+  uniform: "Same size",
+};
+const NOT_LISTED_COLOR = "#e6e9f0";
+const SECTOR_COLORS = {
+  academia: "#0072B2",
+  industry: "#E69F00",
+  research: "#009E73",
+  unknown: NOT_LISTED_COLOR,
+};
+
+// Colours the most common values and pools the rest, so the legend stays readable.
+const buildCategoryEncoding = (nodes, valueOf, labelOf) => {
+  const grouped = d3.group(
+    nodes.filter((node) => valueOf(node) != null),
+    valueOf
+  );
+  const ranked = Array.from(grouped, ([key, members]) => ({ key, size: members.length, label: labelOf(key, members[0]) }))
+    .sort((a, b) => b.size - a.size || a.label.localeCompare(b.label))
+    .slice(0, CATEGORY_PALETTE.length);
+  const colorByKey = new Map(ranked.map(({ key }, index) => [key, CATEGORY_PALETTE[index]]));
+  const entries = ranked.map(({ key, label }) => ({ color: colorByKey.get(key), label }));
+  if (grouped.size > ranked.length) entries.push({ color: OTHER_SEGMENT_COLOR, label: "Everything else" });
+  if (nodes.some((node) => valueOf(node) == null)) entries.push({ color: NOT_LISTED_COLOR, label: "Not listed" });
+  return {
+    colorOf: (node) => {
+      const key = valueOf(node);
+      if (key == null) return NOT_LISTED_COLOR;
+      return colorByKey.get(key) ?? OTHER_SEGMENT_COLOR;
+    },
+    entries,
+  };
+};
+
+// The fill colour of every node and the matching legend entries for a "Color by" option.
+const buildColorEncoding = (colorBy, nodes) => {
+  const people = nodes.filter((node) => !node.isGhost);
+  const careerOf = (node) => state.careerById.get(node.id);
+  if (colorBy === "branch") {
+    const { keyOf, segments } = buildAnalyticsSegments(people, "branch");
+    const colorByKey = new Map(segments.map((segment) => [segment.key, segment.color]));
+    return {
+      colorOf: (node) => (careerOf(node) ? colorByKey.get(keyOf(node)) : NOT_LISTED_COLOR),
+      entries: segments.map(({ color, label }) => ({ color, label })),
+    };
+  }
+  if (colorBy === "institution") {
+    return buildCategoryEncoding(
+      people,
+      (node) => careerOf(node)?.institutionKey ?? null,
+      (key, node) => ANALYTICS_DIMENSIONS.institution.label(key, careerOf(node))
+    );
+  }
+  if (colorBy === "country") {
+    return buildCategoryEncoding(
+      people,
+      (node) => {
+        const country = careerOf(node)?.country;
+        return country && country !== "unknown" ? country : null;
+      },
+      (key) => countryName(key)
+    );
+  }
+  if (colorBy === "sector") {
+    const present = new Set(people.map((node) => careerOf(node)?.sector ?? "unknown"));
+    return {
+      colorOf: (node) => SECTOR_COLORS[careerOf(node)?.sector ?? "unknown"],
+      entries: Object.keys(SECTOR_COLORS)
+        .filter((sector) => present.has(sector))
+        .map((sector) => ({ color: SECTOR_COLORS[sector], label: SECTOR_LABELS[sector] })),
+    };
+  }
+  if (colorBy === "topic") {
+    // A person's dominant topic is whichever of their topics is most widespread in the lineage.
+    const frequency = d3.rollup(
+      people.flatMap((node) => node.topicKeys),
+      (keys) => keys.length,
+      (key) => key
+    );
+    const dominant = new Map(
+      people.map((node) => [
+        node.id,
+        node.topicKeys.reduce(
+          (best, topicKey) => (best === null || frequency.get(topicKey) > frequency.get(best) ? topicKey : best),
+          null
+        ),
+      ])
+    );
+    return buildCategoryEncoding(people, (node) => dominant.get(node.id) ?? null, (key) => topicLabel(key));
+  }
+  const depths = Array.from(new Set(nodes.map((node) => node.depth))).sort((a, b) => a - b);
+  return {
+    colorOf: (node) => pickDepthColor(node.depth),
+    entries: depths.map((depth) => ({ color: pickDepthColor(depth), label: depthLabel(depth) })),
+  };
+};
+
+const nodeFill = (node) => graphState.colorEncoding?.colorOf(node) ?? pickDepthColor(node.depth);
+
+const renderGraphLegend = () => {
+  const encoding = graphState.colorEncoding;
+  elements.graphLegendTitle.textContent = `Color: ${COLOR_ENCODINGS[graphState.colorBy]}`;
+  elements.graphLegendList.innerHTML = "";
+  (encoding?.entries ?? []).forEach((entry) => {
+    const item = document.createElement("li");
+    const swatch = document.createElement("span");
+    swatch.className = "graph-legend-swatch";
+    swatch.style.background = entry.color;
+    const label = document.createElement("span");
+    label.textContent = entry.label;
+    label.title = entry.label;
+    item.append(swatch, label);
+    elements.graphLegendList.appendChild(item);
+  });
+  elements.graphLegendSize.textContent =
+    graphState.sizeBy === "uniform" ? "All circles the same size" : `Size: ${SIZE_ENCODINGS[graphState.sizeBy]}`;
+};
+
+// Recolours and resizes nodes in place; positions and the running simulation are left alone.
+const applyNodeEncoding = () => {
+  if (!graphState.nodeSelection) return;
+  const nodes = Array.from(graphState.nodesById.values());
+  graphState.colorEncoding = buildColorEncoding(graphState.colorBy, nodes);
+  graphState.nodeSelection.select(".graph-node-circle").attr("fill", nodeFill);
+  graphState.nodeSelection.select(".graph-node-cell").attr("fill", nodeFill);
+  if (graphState.layout === "force") {
+    applyLayoutShapes(null);
+  } else {
+    applyLayoutShapes(computeLayoutPositions(graphState.layout));
+  }
+  configureForceLayout();
+  renderGraphLegend();
+  drawMapOverlays();
+};
+
+const setNodeEncoding = ({ colorBy = graphState.colorBy, sizeBy = graphState.sizeBy } = {}) => {
+  graphState.colorBy = COLOR_ENCODINGS[colorBy] ? colorBy : "gen";
+  graphState.sizeBy = SIZE_ENCODINGS[sizeBy] ? sizeBy : "descendants";
+  elements.colorBy.value = graphState.colorBy;
+  elements.sizeBy.value = graphState.sizeBy;
+  applyNodeEncoding();
+};
+
+const handleEncodingChange = () => {
+  setNodeEncoding({ colorBy: elements.colorBy.value, sizeBy: elements.sizeBy.value });
+  syncUrlState({ push: true });
+};
+
 const selectNode = (nodeId, options = {}) => {
   if (!nodeId) return;
   state.selectedNodeId = nodeId;
@@ -869,60 +5989,148 @@ const selectNode = (nodeId, options = {}) => {
   const node = state.nodes.find((n) => n.id === nodeId);
   if (!node) return;
 
+  revealNode(nodeId);
   updateLineageHighlight(nodeId);
   highlightGraphSelection(nodeId);
+  drawMapOverlays();
   if (options.focus) {
-    const scale = nodeId === state.data.root ? 1.05 : 1.35;
+    const scale = nodeId === state.rootId ? 1.05 : 1.35;
     focusGraphNode(nodeId, { scale });
+    if (state.viewMode === "map") focusMapNode(nodeId);
   }
 
-  highlightRosterSelection();
+  highlightRosterSelection({ reveal: true });
   populateProfileCard(node);
+  announce(describeSelection(node));
+  renderOutline();
+  if (elements.topicsPanel.open) renderTopicDrift();
   updatePreview(node);
+  syncUrlState({ push: options.push !== false });
 };
 
-const highlightRosterSelection = () => {
-  const items = elements.rosterList.querySelectorAll("li");
-  items.forEach((item) => {
-    if (item.dataset.id === state.selectedNodeId) {
-      item.classList.add("active");
-      item.scrollIntoView({ block: "nearest", behavior: "smooth" });
-    } else {
-      item.classList.remove("active");
-    }
-  });
+const announce = (message) => {
+  elements.selectionAnnouncer.textContent = message;
+};
+
+const describeSelection = (node) => {
+  const students = node.direct_advisee_count ?? 0;
+  const lineage = node.total_descendants ?? 0;
+  return [
+    `${node.name} selected`,
+    depthLabel(node.depth),
+    node.affiliationDisplay,
+    `${formatNumber(students)} direct PhD ${students === 1 ? "student" : "students"}`,
+    `${formatNumber(lineage)} ${lineage === 1 ? "person" : "people"} in the extended PhD lineage`,
+  ]
+    .filter(Boolean)
+    .join(". ")
+    .concat(".");
+};
+
+// Scrolls the selected person's row into view. Selecting from elsewhere also opens the branch
+// or group that hides them.
+const highlightRosterSelection = ({ reveal = false } = {}) => {
+  const nodeId = state.selectedNodeId;
+  const findRow = () => rosterState.rows.findIndex((row) => row.node?.id === nodeId);
+  let index = findRow();
+  if (index < 0 && nodeId && reveal) {
+    revealRosterNode(nodeId);
+    index = findRow();
+  }
+  rosterState.rendered.forEach((item) => item.classList.toggle("active", item.dataset.id === nodeId));
+  if (index >= 0) scrollRosterRowIntoView(index);
 };
 
 const populateProfileCard = (node) => {
   elements.profileCard.classList.remove("hidden");
   elements.profileName.textContent = node.name;
   elements.profileGeneration.textContent = depthLabel(node.depth);
+  const canReroot = node.id !== state.rootId && (node.direct_advisee_count ?? 0) > 0;
+  elements.profileReroot.hidden = !canReroot;
 
   elements.profileAffiliation.textContent = node.affiliationDisplay ?? "—";
+  renderProfileAdvisors(node);
+  // Datasets without any years leave the row out rather than say so for everyone.
+  elements.profilePhdYears.parentElement.hidden = !state.timeline;
+  elements.profilePhdYears.textContent = describePhdYears(node);
   elements.profileDescendants.textContent = formatNumber(node.total_descendants);
   elements.profileAdvisees.textContent = formatNumber(node.direct_advisee_count);
 
-  if (node.expertise_keywords && node.expertise_keywords.length) {
-    elements.profileResearch.innerHTML = node.expertise_keywords
-      .map((keyword) => `<span class="tag">${keyword}</span>`)
+  if (node.topicKeys.length) {
+    // One tag per topic, so "NLP" and "Natural Language Processing" are not listed twice.
+    elements.profileResearch.innerHTML = node.topicKeys
+      .map((topicKey) => {
+        const spellings = node.expertise_keywords.filter((keyword) => keywordTopicKey(keyword) === topicKey);
+        const label = state.topicLabels.get(topicKey) ?? spellings[0];
+        return `<span class="tag" title="${escapeHtml(spellings.join(", "))}">${escapeHtml(label)}</span>`;
+      })
       .join("");
   } else {
     elements.profileResearch.textContent = "No research keywords listed yet.";
   }
 
-  const links = [];
-  if (node.homepage) links.push(linkMarkup("Homepage", node.homepage));
-  if (node.gscholar) links.push(linkMarkup("Google Scholar", node.gscholar));
-  if (node.dblp) links.push(linkMarkup("DBLP", node.dblp));
+  const links = [
+    ["Homepage", node.homepage],
+    ["Google Scholar", node.gscholar],
+    ["DBLP", node.dblp],
+  ]
+    .map(([label, url]) => [label, safeWebUrl(url)])
+    .filter(([, url]) => url)
+    .map(([label, url]) => linkMarkup(label, url));
   elements.profileLinks.innerHTML = links.length ? links.join(" · ") : "No public links available.";
 };
 
+const describePhdYears = ({ startYear, graduationYear }) => {
+  if (startYear !== null && graduationYear !== null) return `${startYear}–${graduationYear}`;
+  if (graduationYear !== null) return `Graduated ${graduationYear}`;
+  if (startYear !== null) return `Started ${startYear}; no graduation recorded`;
+  return "Not recorded in this dataset.";
+};
+
+// Advisors come from the full dataset so a re-rooted view still lists co-advisors outside it.
+const renderProfileAdvisors = (node) => {
+  const advisorIds = Array.from(
+    new Set(state.data.edges.filter((edge) => edge.to === node.id).map((edge) => edge.from))
+  );
+  elements.profileAdvisors.innerHTML = "";
+  if (!advisorIds.length) {
+    elements.profileAdvisors.textContent = "No advisor recorded in this dataset.";
+    return;
+  }
+  const namesById = new Map(state.data.nodes.map((candidate) => [candidate.id, candidate.name]));
+  advisorIds.forEach((advisorId, index) => {
+    if (index > 0) {
+      elements.profileAdvisors.append(" · ");
+    }
+    const name = namesById.get(advisorId) ?? advisorId;
+    if (graphState.nodesById.has(advisorId)) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "link-button";
+      button.textContent = name;
+      button.addEventListener("click", () => selectNode(advisorId, { focus: true }));
+      elements.profileAdvisors.append(button);
+    } else {
+      const span = document.createElement("span");
+      span.textContent = name;
+      span.title = "Outside the current root's lineage";
+      elements.profileAdvisors.append(span);
+    }
+  });
+  if (advisorIds.length > 1) {
+    const note = document.createElement("span");
+    note.className = "co-advised-note";
+    note.textContent = "Co-advised";
+    elements.profileAdvisors.append(note);
+  }
+};
+
 const linkMarkup = (label, url) =>
-  `<a href="${url}" target="_blank" rel="noopener">${label}</a>`;
+  `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(label)}</a>`;
 
 const openProfileLink = (node) => {
   if (!node) return;
-  const link = node.homepage || node.gscholar || node.dblp;
+  const link = safeWebUrl(node.homepage || node.gscholar || node.dblp);
   if (link) {
     window.open(link, "_blank", "noopener");
   }
@@ -930,9 +6138,10 @@ const openProfileLink = (node) => {
 
 const updatePreview = (node) => {
   clearTimeout(previewLoadTimeout);
-  elements.previewFrame.dataset.homepage = node.homepage || "";
+  const homepage = safeWebUrl(node.homepage);
+  elements.previewFrame.dataset.homepage = homepage ?? "";
 
-  if (!node.homepage) {
+  if (!homepage) {
     elements.previewCard.classList.remove("hidden");
     elements.previewFrame.classList.add("hidden");
     elements.previewFrame.src = "about:blank";
@@ -948,7 +6157,7 @@ const updatePreview = (node) => {
   elements.previewRefresh.disabled = false;
 
   try {
-    elements.previewFrame.src = node.homepage;
+    elements.previewFrame.src = homepage;
   } catch (error) {
     handlePreviewError();
     return;
@@ -956,7 +6165,10 @@ const updatePreview = (node) => {
 
   previewLoadTimeout = window.setTimeout(() => {
     elements.previewFrame.classList.add("hidden");
-    elements.previewStatus.innerHTML = `This site blocks embedding or is taking too long. <a href="${node.homepage}" target="_blank" rel="noopener">Open homepage in a new tab</a>.`;
+    elements.previewStatus.innerHTML = `This site blocks embedding or is taking too long. ${linkMarkup(
+      "Open homepage in a new tab",
+      homepage
+    )}.`;
   }, 5000);
 };
 
@@ -980,20 +6192,1161 @@ const handlePreviewError = () => {
   const homepage = elements.previewFrame.dataset.homepage;
   elements.previewFrame.classList.add("hidden");
   elements.previewStatus.innerHTML = homepage
-    ? `Preview unavailable. <a href="${homepage}" target="_blank" rel="noopener">Open homepage in a new tab</a>.`
+    ? `Preview unavailable. ${linkMarkup("Open homepage in a new tab", homepage)}.`
     : "";
 };
 
-const showGraphError = (error) => {
-  const container = document.getElementById("network");
-  if (!container) return;
-  container.innerHTML = `
-    <div class="graph-error">
-      <h3>Graph failed to load</h3>
-      <p>${error?.message || "Unexpected error occurred while rendering the visualization."}</p>
-      <p>Please check the browser console for details and reload the page.</p>
-    </div>
+const MAP_WORLD_URL = "geo/countries-110m.json";
+const MAP_PLACES_URL = "geo/places.json";
+const MAP_CLUSTER_DISTANCE = 28;
+const MAP_MAX_ZOOM = 48;
+
+// Lookup tables keyed by "country|normalized name"; aliases share their entry.
+const buildGazetteer = (places) => {
+  const index = (groups) => {
+    const entries = new Map();
+    Object.entries(groups || {}).forEach(([country, list]) => {
+      list.forEach((entry) => {
+        [entry.name, ...(entry.aliases || [])].forEach((name) => {
+          entries.set(`${country}|${normalizePlaceName(name)}`, entry);
+        });
+      });
+    });
+    return entries;
+  };
+  return {
+    countries: new Map(Object.entries(places.countries || {})),
+    regions: index(places.regions),
+    cities: index(places.cities),
+  };
+};
+
+const normalizePlaceName = (value) =>
+  normalizeSearchText(value)
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// The most precise known place for a person's current affiliation: city, then
+// state or province, then the country's label point.
+const locatePerson = (node, gazetteer) => {
+  const country = String(node.affiliation_country ?? node.affiliation?.country ?? "")
+    .trim()
+    .toUpperCase();
+  if (!gazetteer.countries.has(country)) return null;
+  const countryLabel = countryName(country);
+  const city = normalizePlaceName(node.affiliation?.city);
+  const region = normalizePlaceName(node.affiliation?.stateProvince);
+  const cityEntry = city ? gazetteer.cities.get(`${country}|${city}`) : null;
+  if (cityEntry) {
+    return {
+      key: `city:${country}|${cityEntry.name}`,
+      label: `${cityEntry.name}, ${countryLabel}`,
+      at: cityEntry.at,
+      precision: "city",
+    };
+  }
+  const regionEntry = region ? gazetteer.regions.get(`${country}|${region}`) : null;
+  if (regionEntry) {
+    return {
+      key: `region:${country}|${regionEntry.name}`,
+      label: `${regionEntry.name}, ${countryLabel}`,
+      at: regionEntry.at,
+      precision: "region",
+    };
+  }
+  return { key: `country:${country}`, label: countryLabel, at: gazetteer.countries.get(country), precision: "country" };
+};
+
+// The basemap and gazetteer are bundled with the site and fetched the first time the map opens.
+const loadMapAssets = () => {
+  if (!mapState.assets) {
+    mapState.assets = (async () => {
+      const topojson = window.topojson;
+      if (!topojson) throw new Error("the map library did not load");
+      const [world, places] = await Promise.all([fetchDataset(MAP_WORLD_URL), fetchDataset(MAP_PLACES_URL)]);
+      return {
+        land: topojson.feature(world, world.objects.countries),
+        borders: topojson.mesh(world, world.objects.countries, (a, b) => a !== b),
+        gazetteer: buildGazetteer(places),
+      };
+    })();
+    // A failed load is retried the next time the map is shown.
+    mapState.assets.catch(() => {
+      mapState.assets = null;
+    });
+  }
+  return mapState.assets;
+};
+
+const initMap = (assets) => {
+  const svg = d3.select(elements.mapView).select("svg.map-canvas");
+  svg.selectAll("*").remove();
+  const basemap = svg.append("g").attr("class", "map-basemap");
+  basemap.append("path").attr("class", "map-sphere");
+  basemap.append("path").attr("class", "map-land").datum(assets.land);
+  basemap.append("path").attr("class", "map-borders").datum(assets.borders);
+  mapState.svg = svg;
+  mapState.basemap = basemap;
+  mapState.arcLayer = svg.append("g").attr("class", "map-arcs");
+  mapState.markerLayer = svg.append("g").attr("class", "map-markers");
+  mapState.gazetteer = assets.gazetteer;
+  mapState.zoom = d3
+    .zoom()
+    .scaleExtent([1, MAP_MAX_ZOOM])
+    .on("zoom", (event) => {
+      mapState.transform = event.transform;
+      basemap.attr("transform", event.transform);
+      drawMapOverlays();
+    });
+  svg.call(mapState.zoom).on("dblclick.zoom", null);
+  svg.on("click", (event) => {
+    if (event.target === svg.node() || event.target.closest(".map-basemap")) closeMapCluster();
+  });
+  resizeMap();
+
+  if (typeof ResizeObserver !== "undefined") {
+    mapState.resizeObserver = new ResizeObserver(() => {
+      if (state.viewMode === "map") resizeMap();
+    });
+    mapState.resizeObserver.observe(elements.mapView);
+  }
+};
+
+const resizeMap = () => {
+  const rect = elements.mapView.getBoundingClientRect();
+  const width = rect.width || elements.mapView.clientWidth || 960;
+  const height = rect.height || elements.mapView.clientHeight || 720;
+  mapState.size = { width, height };
+  mapState.projection = d3.geoNaturalEarth1().fitExtent(
+    [
+      [12, 12],
+      [width - 12, height - 12],
+    ],
+    { type: "Sphere" }
+  );
+  const path = d3.geoPath(mapState.projection);
+  mapState.svg.attr("viewBox", `0 0 ${width} ${height}`);
+  mapState.basemap.select(".map-sphere").attr("d", path({ type: "Sphere" }));
+  mapState.basemap.selectAll(".map-land, .map-borders").attr("d", path);
+  mapState.zoom.extent([
+    [0, 0],
+    [width, height],
+  ]).translateExtent([
+    [0, 0],
+    [width, height],
+  ]);
+  drawMapOverlays();
+};
+
+const renderMap = async () => {
+  if (state.viewMode !== "map" || !state.data) return;
+  let assets;
+  try {
+    assets = await loadMapAssets();
+  } catch (error) {
+    console.error("Failed to load the map", error);
+    elements.mapStatus.textContent = `The map could not be loaded: ${error.message}.`;
+    return;
+  }
+  if (state.viewMode !== "map") return;
+  if (!mapState.svg) initMap(assets);
+  mapState.placeById = new Map();
+  state.nodes.forEach((node) => {
+    if (node.isGhost) return;
+    const place = locatePerson(node, mapState.gazetteer);
+    if (place) mapState.placeById.set(node.id, place);
+  });
+  closeMapCluster();
+  drawMapOverlays();
+  renderMapStatus();
+};
+
+const renderMapStatus = () => {
+  const people = state.nodes.filter((node) => !node.isGhost);
+  const placed = Array.from(mapState.placeById.values());
+  const approximate = placed.filter((place) => place.precision !== "city").length;
+  const parts = [`${formatNumber(placed.length)} of ${formatNumber(people.length)} people placed`];
+  if (approximate) parts.push(`${formatNumber(approximate)} by state or country only`);
+  if (people.length > placed.length) parts.push(`${formatNumber(people.length - placed.length)} without a location`);
+  elements.mapStatus.textContent = `${parts.join(" · ")}. Basemap: Natural Earth.`;
+};
+
+// The same matches and advisor context the graph emphasises; in "hide" mode everyone
+// else is left off the map.
+const getMapVisibility = () => {
+  if (!state.hasActiveFilter) return { isShown: () => true, isMatch: () => false };
+  const matchingIds = new Set(state.filteredNodes.map((node) => node.id));
+  const contextIds = collectAncestorIds(matchingIds);
+  return {
+    isShown: (nodeId) => matchingIds.has(nodeId) || contextIds.has(nodeId),
+    isMatch: (nodeId) => matchingIds.has(nodeId),
+  };
+};
+
+// People sharing a place form one marker; markers closer than MAP_CLUSTER_DISTANCE pixels
+// at the current zoom merge, largest places first.
+const clusterMapPlaces = (nodeIds) => {
+  const transform = mapState.transform;
+  const places = d3
+    .groups(nodeIds, (nodeId) => mapState.placeById.get(nodeId).key)
+    .map(([key, ids]) => {
+      const place = mapState.placeById.get(ids[0]);
+      const [x, y] = transform.apply(mapState.projection(place.at));
+      return { key, label: place.label, ids, x, y };
+    })
+    .sort((a, b) => b.ids.length - a.ids.length || d3.ascending(a.label, b.label));
+
+  const clusters = [];
+  places.forEach((place) => {
+    const cluster = clusters.find(
+      (candidate) => Math.hypot(candidate.x - place.x, candidate.y - place.y) < MAP_CLUSTER_DISTANCE
+    );
+    if (!cluster) {
+      clusters.push({ key: place.key, x: place.x, y: place.y, places: [place], ids: [...place.ids] });
+      return;
+    }
+    cluster.places.push(place);
+    cluster.ids.push(...place.ids);
+  });
+  return clusters;
+};
+
+const describeMapCluster = (cluster) => {
+  const count = `${formatNumber(cluster.ids.length)} ${cluster.ids.length === 1 ? "person" : "people"}`;
+  if (cluster.places.length === 1) return `${cluster.places[0].label}: ${count}`;
+  return `${cluster.places[0].label} and ${formatNumber(cluster.places.length - 1)} nearby: ${count}`;
+};
+
+const mapMarkerRadius = (cluster) => 6 + Math.sqrt(cluster.ids.length) * 3;
+
+// Curves bend to the right of travel, so opposite directions between two places stay apart.
+const mapArcPath = (source, target) => {
+  const dx = target.x - source.x;
+  const dy = target.y - source.y;
+  const bend = 0.22;
+  const cx = (source.x + target.x) / 2 - dy * bend;
+  const cy = (source.y + target.y) / 2 + dx * bend;
+  return `M${source.x},${source.y} Q${cx},${cy} ${target.x},${target.y}`;
+};
+
+const drawMapOverlays = () => {
+  if (!mapState.svg || !mapState.projection || state.viewMode !== "map") return;
+  const { isShown, isMatch } = getMapVisibility();
+  const hide = state.filterMode === "hide";
+  const nodeById = new Map(state.nodes.map((node) => [node.id, node]));
+  const placedIds = state.nodes
+    .filter((node) => mapState.placeById.has(node.id) && (!hide || isShown(node.id)))
+    .map((node) => node.id);
+  const clusters = clusterMapPlaces(placedIds);
+  const clusterById = new Map();
+  clusters.forEach((cluster) => cluster.ids.forEach((nodeId) => clusterById.set(nodeId, cluster)));
+  mapState.clusters = clusters;
+
+  const arcs = new Map();
+  state.edges.forEach((edge) => {
+    const source = clusterById.get(edge.from);
+    const target = clusterById.get(edge.to);
+    if (!source || !target || source === target) return;
+    const key = `${source.key}\u0000${target.key}`;
+    if (!arcs.has(key)) arcs.set(key, { key, source, target, edges: [] });
+    arcs.get(key).edges.push(edge);
+  });
+  const lineageEdges = graphState.lineageEdges;
+  const isArcShown = (arc) => arc.edges.some((edge) => isShown(edge.from) && isShown(edge.to));
+
+  mapState.arcLayer
+    .selectAll("path.map-arc")
+    .data(Array.from(arcs.values()), (arc) => arc.key)
+    .join((enter) => enter.append("path").attr("class", "map-arc").call((path) => path.append("title")))
+    .attr("d", (arc) => mapArcPath(arc.source, arc.target))
+    .attr("stroke-width", (arc) => Math.min(6, 1 + Math.log2(arc.edges.length)))
+    .classed("lineage-active", (arc) => arc.edges.some((edge) => lineageEdges.has(edgeKey(edge.from, edge.to))))
+    .classed("filter-muted", (arc) => !isArcShown(arc))
+    .select("title")
+    .text(
+      (arc) =>
+        `${arc.source.places[0].label} → ${arc.target.places[0].label}: ${formatNumber(arc.edges.length)} advisor ${
+          arc.edges.length === 1 ? "link" : "links"
+        }`
+    );
+
+  const marker = mapState.markerLayer
+    .selectAll("g.map-marker")
+    .data(clusters, (cluster) => cluster.key)
+    .join((enter) => {
+      const group = enter.append("g").attr("class", "map-marker").attr("tabindex", 0).attr("role", "button");
+      group.append("circle");
+      group.append("text").attr("class", "map-marker-count").attr("text-anchor", "middle").attr("dy", "0.35em");
+      group.append("title");
+      return group;
+    })
+    .attr("transform", (cluster) => `translate(${cluster.x}, ${cluster.y})`)
+    .attr("aria-label", describeMapCluster)
+    .classed("selected", (cluster) => cluster.ids.includes(state.selectedNodeId))
+    .classed("lineage-active", (cluster) => cluster.ids.some((nodeId) => graphState.lineageNodes.has(nodeId)))
+    .classed("search-match", (cluster) => cluster.ids.some(isMatch))
+    .classed("filter-muted", (cluster) => !cluster.ids.some(isShown))
+    .on("click", (event, cluster) => {
+      event.stopPropagation();
+      activateMapCluster(cluster);
+    })
+    .on("keydown", (event, cluster) => {
+      if (event.key !== "Enter" && event.key !== " ") return;
+      event.preventDefault();
+      activateMapCluster(cluster);
+    });
+  marker
+    .select("circle")
+    .attr("r", mapMarkerRadius)
+    .attr("fill", (cluster) =>
+      cluster.ids.length === 1 ? nodeFill(nodeById.get(cluster.ids[0])) : "#1a3d8f"
+    );
+  marker.select(".map-marker-count").text((cluster) => (cluster.ids.length > 1 ? cluster.ids.length : ""));
+  marker.select("title").text((cluster) => {
+    const names = cluster.ids.slice(0, 8).map((nodeId) => nodeById.get(nodeId).name);
+    if (cluster.ids.length > names.length) names.push(`and ${formatNumber(cluster.ids.length - names.length)} more`);
+    return [describeMapCluster(cluster), ...names].join("\n");
+  });
+  renderMapCluster();
+};
+
+// A single person is selected straight away. A group spread over several places zooms in
+// until it splits; people at one place are listed instead.
+const activateMapCluster = (cluster) => {
+  if (cluster.ids.length === 1) {
+    selectNode(cluster.ids[0]);
+    return;
+  }
+  if (cluster.places.length > 1 && mapState.transform.k < MAP_MAX_ZOOM) {
+    zoomMapToPlaces(cluster.places);
+    return;
+  }
+  mapState.openClusterKey = cluster.key;
+  renderMapCluster();
+};
+
+const zoomMapToPlaces = (places) => {
+  const { width, height } = mapState.size;
+  const points = places.map((place) => mapState.transform.invert([place.x, place.y]));
+  const [x0, x1] = d3.extent(points, (point) => point[0]);
+  const [y0, y1] = d3.extent(points, (point) => point[1]);
+  const padding = MAP_CLUSTER_DISTANCE * 3;
+  const scale = Math.min(
+    MAP_MAX_ZOOM,
+    (width - padding * 2) / Math.max(x1 - x0, 1),
+    (height - padding * 2) / Math.max(y1 - y0, 1)
+  );
+  const transform = d3.zoomIdentity
+    .translate(width / 2, height / 2)
+    .scale(Math.min(MAP_MAX_ZOOM, Math.max(scale, mapState.transform.k * 2)))
+    .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+  mapState.svg.transition().duration(600).call(mapState.zoom.transform, transform);
+};
+
+const focusMapNode = (nodeId) => {
+  const place = mapState.placeById.get(nodeId);
+  if (!place || !mapState.svg) return;
+  const [x, y] = mapState.projection(place.at);
+  const { width, height } = mapState.size;
+  const scale = Math.max(mapState.transform.k, 4);
+  const transform = d3.zoomIdentity.translate(width / 2, height / 2).scale(scale).translate(-x, -y);
+  mapState.svg.transition().duration(600).call(mapState.zoom.transform, transform);
+};
+
+const renderMapCluster = () => {
+  const cluster = mapState.clusters.find((candidate) => candidate.key === mapState.openClusterKey);
+  elements.mapCluster.hidden = !cluster;
+  if (!cluster) return;
+  const nodeById = new Map(state.nodes.map((node) => [node.id, node]));
+  elements.mapClusterTitle.textContent = describeMapCluster(cluster);
+  elements.mapClusterList.innerHTML = "";
+  cluster.ids
+    .map((nodeId) => nodeById.get(nodeId))
+    .sort((a, b) => a.depth - b.depth || d3.ascending(a.name, b.name))
+    .forEach((node) => {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "link-button";
+      button.textContent = node.name;
+      button.classList.toggle("active", node.id === state.selectedNodeId);
+      button.addEventListener("click", () => selectNode(node.id));
+      const detail = document.createElement("span");
+      const career = state.careerById.get(node.id);
+      detail.textContent = [depthLabel(node.depth), career?.institutionLabel].filter(Boolean).join(" · ");
+      item.append(button, detail);
+      elements.mapClusterList.append(item);
+    });
+};
+
+const closeMapCluster = () => {
+  mapState.openClusterKey = null;
+  elements.mapCluster.hidden = true;
+};
+
+const setViewMode = (mode, { pushHistory = true } = {}) => {
+  state.viewMode = VIEW_MODES.has(mode) ? mode : "graph";
+  elements.viewMode.value = state.viewMode;
+  elements.network.classList.toggle("is-map", state.viewMode === "map");
+  elements.network.classList.toggle("is-outline", state.viewMode === "outline");
+  elements.mapView.hidden = state.viewMode !== "map";
+  elements.outlineView.hidden = state.viewMode !== "outline";
+  if (state.viewMode === "map") {
+    renderMap();
+  }
+  renderOutline();
+  syncUrlState({ push: pushHistory });
+};
+
+const describeOutlineItem = (node, advisorId) => {
+  const students = node.direct_advisee_count ?? 0;
+  const coAdvisors = getParents(node.id)
+    .filter((parentId) => parentId !== advisorId && graphState.nodesById.has(parentId))
+    .map((parentId) => graphState.nodesById.get(parentId).name);
+  return [
+    `Gen ${node.depth}`,
+    node.affiliationDisplay,
+    students ? `${formatNumber(students)} PhD ${students === 1 ? "student" : "students"}` : null,
+    coAdvisors.length ? `also advised by ${coAdvisors.join(", ")}` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+};
+
+// Items are labelled explicitly; otherwise an expanded item's name would run on through all of
+// its students. Collapsed items leave their students out of the DOM altogether.
+const buildOutlineItem = (nodeId, tree, level, position, setSize) => {
+  const node = graphState.nodesById.get(nodeId);
+  const studentIds = tree.childrenById.get(nodeId) || [];
+  const expanded = studentIds.length > 0 && state.outlineExpanded.has(nodeId);
+  const meta = describeOutlineItem(node, tree.parentById.get(nodeId));
+  const item = document.createElement("li");
+  item.dataset.id = nodeId;
+  item.setAttribute("role", "treeitem");
+  item.setAttribute("aria-level", String(level));
+  item.setAttribute("aria-setsize", String(setSize));
+  item.setAttribute("aria-posinset", String(position));
+  item.setAttribute("aria-selected", String(nodeId === state.selectedNodeId));
+  item.setAttribute("aria-label", `${node.name}, ${meta}`);
+  if (studentIds.length) item.setAttribute("aria-expanded", String(expanded));
+  item.tabIndex = -1;
+  item.innerHTML = `
+    <span class="outline-row">
+      <span class="outline-toggle" aria-hidden="true">${studentIds.length ? (expanded ? "▾" : "▸") : ""}</span>
+      <span class="outline-name">${escapeHtml(node.name)}</span>
+      <span class="outline-meta">${escapeHtml(meta)}</span>
+    </span>
+  `;
+  if (expanded) {
+    const group = document.createElement("ul");
+    group.setAttribute("role", "group");
+    studentIds.forEach((studentId, index) => {
+      group.append(buildOutlineItem(studentId, tree, level + 1, index + 1, studentIds.length));
+    });
+    item.append(group);
+  }
+  return item;
+};
+
+// Redraws the outline with the selected person's advisors opened. Keyboard focus inside the
+// tree follows the selection across the redraw.
+const renderOutline = () => {
+  if (state.viewMode !== "outline" || !graphState.nodesById.has(state.rootId)) return;
+  const hadFocus = elements.outlineTree.contains(document.activeElement);
+  const tree = state.lineageTree;
+  state.outlineExpanded.add(state.rootId);
+  let advisorId = tree.parentById.get(state.selectedNodeId);
+  while (advisorId) {
+    state.outlineExpanded.add(advisorId);
+    advisorId = tree.parentById.get(advisorId);
+  }
+  elements.outlineTree.replaceChildren(buildOutlineItem(state.rootId, tree, 1, 1, 1));
+  const current =
+    elements.outlineTree.querySelector('[aria-selected="true"]') ?? elements.outlineTree.firstElementChild;
+  current.tabIndex = 0;
+  if (hadFocus) current.focus();
+  current.scrollIntoView({ block: "nearest" });
+};
+
+const focusOutlineItem = (item) => {
+  elements.outlineTree.querySelectorAll('[role="treeitem"][tabindex="0"]').forEach((other) => {
+    other.tabIndex = -1;
+  });
+  item.tabIndex = 0;
+  item.focus();
+};
+
+const setOutlineExpanded = (item, expanded) => {
+  if (expanded) {
+    state.outlineExpanded.add(item.dataset.id);
+  } else {
+    state.outlineExpanded.delete(item.dataset.id);
+  }
+  const tree = state.lineageTree;
+  const level = Number(item.getAttribute("aria-level"));
+  const position = Number(item.getAttribute("aria-posinset"));
+  const setSize = Number(item.getAttribute("aria-setsize"));
+  const replacement = buildOutlineItem(item.dataset.id, tree, level, position, setSize);
+  item.replaceWith(replacement);
+  focusOutlineItem(replacement);
+};
+
+// The WAI-ARIA tree pattern: up and down through visible items, right opens or steps into an
+// item, left closes it or steps out to the advisor, Enter and Space select.
+const handleOutlineKeydown = (event) => {
+  const item = event.target.closest('[role="treeitem"]');
+  if (!item || event.altKey || event.metaKey || event.ctrlKey) return;
+  const items = Array.from(elements.outlineTree.querySelectorAll('[role="treeitem"]'));
+  const index = items.indexOf(item);
+  const expanded = item.getAttribute("aria-expanded");
+  let target = null;
+  switch (event.key) {
+    case "ArrowDown":
+      target = items[index + 1];
+      break;
+    case "ArrowUp":
+      target = items[index - 1];
+      break;
+    case "Home":
+      target = items[0];
+      break;
+    case "End":
+      target = items[items.length - 1];
+      break;
+    case "ArrowRight":
+      if (expanded === "false") setOutlineExpanded(item, true);
+      else if (expanded === "true") target = item.querySelector('[role="treeitem"]');
+      break;
+    case "ArrowLeft":
+      if (expanded === "true") setOutlineExpanded(item, false);
+      else target = item.parentElement.closest('[role="treeitem"]');
+      break;
+    case "Enter":
+    case " ":
+      selectNode(item.dataset.id);
+      break;
+    default:
+      return;
+  }
+  event.preventDefault();
+  if (target) focusOutlineItem(target);
+};
+
+const handleOutlineClick = (event) => {
+  const item = event.target.closest('[role="treeitem"]');
+  if (!item) return;
+  if (event.target.closest(".outline-toggle") && item.hasAttribute("aria-expanded")) {
+    setOutlineExpanded(item, item.getAttribute("aria-expanded") === "false");
+    return;
+  }
+  focusOutlineItem(item);
+  selectNode(item.dataset.id);
+};
+
+const handleViewModeChange = () => {
+  setViewMode(elements.viewMode.value);
+};
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const EXPORT_STYLE_PROPERTIES = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "stroke-dasharray",
+  "opacity",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "letter-spacing",
+  "paint-order",
+];
+// Browsers refuse canvases much beyond this, so large exports are scaled down to fit.
+const MAX_EXPORT_PIXELS = 120_000_000;
+const MAX_EXPORT_DIMENSION = 16_000;
+
+const formatDataTimestamp = () => {
+  const stamp = state.data?.generated_at;
+  if (!stamp) return null;
+  const date = new Date(stamp);
+  const formatted = Number.isNaN(date.getTime())
+    ? stamp
+    : date.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+  return `Data: ${state.summary?.generated_from ?? "OpenReview"}, ${formatted}`;
+};
+
+// Copies the resolved style.css rules onto each cloned element so the file renders the
+// same outside the page. Elements that are not displayed are dropped from the clone.
+const inlineComputedStyles = (source, clone) => {
+  const computed = window.getComputedStyle(source);
+  if (computed.display === "none") {
+    clone.remove();
+    return;
+  }
+  const declarations = EXPORT_STYLE_PROPERTIES.map((property) => {
+    const value = computed.getPropertyValue(property);
+    return value ? `${property}:${value}` : null;
+  }).filter(Boolean);
+  if (declarations.length) {
+    clone.setAttribute("style", declarations.join(";"));
+  }
+  clone.removeAttribute("class");
+  clone.removeAttribute("tabindex");
+  const sourceChildren = Array.from(source.children);
+  Array.from(clone.children).forEach((cloneChild, index) => {
+    inlineComputedStyles(sourceChildren[index], cloneChild);
+  });
+};
+
+const buildExportLegend = (width) => {
+  const legend = document.createElementNS(SVG_NS, "g");
+  legend.setAttribute("transform", `translate(${width - 190}, 20)`);
+  const entries = graphState.colorEncoding?.entries ?? [];
+  const rows = [
+    ...entries.map((entry) => ({
+      type: "dot",
+      color: entry.color,
+      label: entry.label.length > 26 ? `${entry.label.slice(0, 25)}…` : entry.label,
+    })),
+    { type: "line", color: "#9bb7db", label: "Advisor → student" },
+    { type: "line", color: "#9b7fd1", dash: "6 4", label: "Co-advised student" },
+  ];
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("width", 176);
+  background.setAttribute("height", rows.length * 18 + 16);
+  background.setAttribute("rx", 8);
+  background.setAttribute("fill", "#ffffff");
+  background.setAttribute("fill-opacity", "0.92");
+  background.setAttribute("stroke", "#d7dce6");
+  legend.appendChild(background);
+  rows.forEach((row, index) => {
+    const y = 17 + index * 18;
+    const marker = document.createElementNS(SVG_NS, row.type === "dot" ? "circle" : "line");
+    if (row.type === "dot") {
+      marker.setAttribute("cx", 16);
+      marker.setAttribute("cy", y);
+      marker.setAttribute("r", 5);
+      marker.setAttribute("fill", row.color);
+    } else {
+      marker.setAttribute("x1", 8);
+      marker.setAttribute("x2", 24);
+      marker.setAttribute("y1", y);
+      marker.setAttribute("y2", y);
+      marker.setAttribute("stroke", row.color);
+      marker.setAttribute("stroke-width", 2);
+      if (row.dash) marker.setAttribute("stroke-dasharray", row.dash);
+    }
+    const text = document.createElementNS(SVG_NS, "text");
+    text.setAttribute("x", 32);
+    text.setAttribute("y", y + 4);
+    text.setAttribute("font-size", 11);
+    text.setAttribute("font-family", "Inter, Helvetica Neue, Arial, sans-serif");
+    text.setAttribute("fill", "#1c233a");
+    text.textContent = row.label;
+    legend.append(marker, text);
+  });
+  return legend;
+};
+
+// Builds a standalone SVG document of the graph. "view" keeps the current pan and zoom;
+// "full" frames every visible node using getGraphBounds.
+const buildExportSvg = ({ area = "view", legend = true, timestamp = true } = {}) => {
+  const source = graphState.svg?.node();
+  if (!source) {
+    throw new Error("The graph has not been drawn yet.");
+  }
+  const clone = withSvgRendering(() => {
+    const copy = source.cloneNode(true);
+    inlineComputedStyles(source, copy);
+    return copy;
+  });
+  clone.querySelectorAll(".collapse-toggle, .graph-node-focus-ring, title").forEach((element) => element.remove());
+  // Fill and stroke opacity also match an attribute selector, so the parsed opacity is checked.
+  clone.querySelectorAll("[style]").forEach((element) => {
+    if (element.style.opacity === "0") element.remove();
+  });
+
+  let { width, height } = graphState.size;
+  const viewport = clone.querySelector("g");
+  if (area === "full") {
+    const bounds = getGraphBounds();
+    if (!bounds) {
+      throw new Error("Node positions are not ready yet.");
+    }
+    const padding = 120;
+    width = Math.ceil(bounds.maxX - bounds.minX + padding * 2);
+    height = Math.ceil(bounds.maxY - bounds.minY + padding * 2);
+    viewport?.setAttribute("transform", `translate(${padding - bounds.minX}, ${padding - bounds.minY})`);
+  }
+
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  clone.removeAttribute("style");
+
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("width", "100%");
+  background.setAttribute("height", "100%");
+  background.setAttribute("fill", "#ffffff");
+  clone.insertBefore(background, clone.firstChild);
+
+  if (legend) {
+    clone.appendChild(buildExportLegend(width));
+  }
+  const stamp = timestamp ? formatDataTimestamp() : null;
+  if (stamp) {
+    const footer = document.createElementNS(SVG_NS, "text");
+    footer.setAttribute("x", 16);
+    footer.setAttribute("y", height - 14);
+    footer.setAttribute("font-size", 11);
+    footer.setAttribute("font-family", "Inter, Helvetica Neue, Arial, sans-serif");
+    footer.setAttribute("fill", "#59627a");
+    footer.textContent = `${state.rootName} PhD lineage · ${stamp}`;
+    clone.appendChild(footer);
+  }
+
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+};
+
+const rasterizeSvg = ({ markup, width, height }, dpi) =>
+  new Promise((resolve, reject) => {
+    let scale = dpi / 96;
+    scale = Math.min(
+      scale,
+      MAX_EXPORT_DIMENSION / width,
+      MAX_EXPORT_DIMENSION / height,
+      Math.sqrt(MAX_EXPORT_PIXELS / (width * height))
+    );
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const context = canvas.getContext("2d");
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve({ canvas, effectiveDpi: scale * 96 });
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The browser could not rasterize the SVG."));
+    };
+    image.src = url;
+  });
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("The image is too large to encode."))),
+      type,
+      quality
+    );
+  });
+
+// Writes a single-page PDF whose only content is the JPEG, sized so it prints at `dpi`.
+const buildPdfFromJpeg = async (jpegBlob, pixelWidth, pixelHeight, dpi, title) => {
+  const encoder = new TextEncoder();
+  const jpegBytes = new Uint8Array(await jpegBlob.arrayBuffer());
+  const pageWidth = ((pixelWidth * 72) / dpi).toFixed(2);
+  const pageHeight = ((pixelHeight * 72) / dpi).toFixed(2);
+  const pdfTitle = title.replace(/[^\x20-\x7e]/g, "").replace(/([()\\])/g, "\\$1");
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`,
+      jpegBytes,
+      "\nendstream",
+    ],
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    `<< /Title (${pdfTitle}) /Producer (PhD Tree export) >>`,
+  ];
+
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  push("%PDF-1.4\n");
+  objects.forEach((object, index) => {
+    offsets.push(length);
+    push(`${index + 1} 0 obj\n`);
+    (Array.isArray(object) ? object : [object]).forEach(push);
+    push("\nendobj\n");
+  });
+  const xrefOffset = length;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((offset) => push(`${String(offset).padStart(10, "0")} 00000 n \n`));
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  return new Blob(chunks, { type: "application/pdf" });
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const buildFileSlug = () =>
+  (state.rootName || "phd-tree")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)/g, "");
+
+const buildExportFilename = (extension) => `${buildFileSlug()}-phd-tree-${graphState.layout}.${extension}`;
+
+const exportGraphView = async ({ format, area, dpi, legend, timestamp }) => {
+  const svgExport = buildExportSvg({ area, legend, timestamp });
+  if (format === "svg") {
+    downloadBlob(new Blob([svgExport.markup], { type: "image/svg+xml" }), buildExportFilename("svg"));
+    return null;
+  }
+  const { canvas, effectiveDpi } = await rasterizeSvg(svgExport, dpi);
+  if (format === "png") {
+    downloadBlob(await canvasToBlob(canvas, "image/png"), buildExportFilename("png"));
+  } else {
+    const jpeg = await canvasToBlob(canvas, "image/jpeg", 0.92);
+    const title = `${state.rootName} PhD Tree`;
+    const pdf = await buildPdfFromJpeg(jpeg, canvas.width, canvas.height, effectiveDpi, title);
+    downloadBlob(pdf, buildExportFilename("pdf"));
+  }
+  return effectiveDpi < dpi - 0.5
+    ? `Exported at ${Math.round(effectiveDpi)} DPI; larger images exceed browser canvas limits.`
+    : null;
+};
+
+const handleExportSubmit = async (event) => {
+  event.preventDefault();
+  const options = {
+    format: elements.exportFormat.value,
+    area: elements.exportArea.value,
+    dpi: Number(elements.exportDpi.value) || 96,
+    legend: elements.exportLegend.checked,
+    timestamp: elements.exportTimestamp.checked,
+  };
+  elements.exportStatus.textContent = "Preparing export…";
+  try {
+    const note = await exportGraphView(options);
+    elements.exportStatus.textContent = note ?? "";
+    if (!note) {
+      elements.exportMenu.open = false;
+    }
+  } catch (error) {
+    console.error("Export failed", error);
+    elements.exportStatus.textContent = `Export failed: ${error.message}`;
+  }
+};
+
+const handleExportFormatChange = () => {
+  elements.exportDpi.disabled = elements.exportFormat.value === "svg";
+};
+
+// Columns shared by every tabular and graph format. `type` drives the GraphML/GEXF declarations.
+const DATA_EXPORT_FIELDS = [
+  { key: "name", type: "string", value: (node) => node.name },
+  { key: "affiliation_name", type: "string", value: (node) => node.affiliation_name },
+  { key: "affiliation_domain", type: "string", value: (node) => node.affiliation_domain },
+  { key: "affiliation_country", type: "string", value: (node) => node.affiliation_country },
+  { key: "affiliation_department", type: "string", value: (node) => node.affiliation?.department },
+  { key: "affiliation_city", type: "string", value: (node) => node.affiliation?.city },
+  { key: "depth", type: "int", value: (node) => node.depth },
+  { key: "direct_advisee_count", type: "int", value: (node) => node.direct_advisee_count },
+  { key: "total_descendants", type: "int", value: (node) => node.total_descendants },
+  { key: "start_year", type: "int", value: (node) => node.startYear },
+  { key: "year", type: "int", value: (node) => node.graduationYear },
+  { key: "expertise_keywords", type: "string", value: (node) => (node.expertise_keywords || []).join("; ") },
+  { key: "research_area_summary", type: "string", value: (node) => node.research_area_summary },
+  { key: "homepage", type: "string", value: (node) => node.homepage },
+  { key: "gscholar", type: "string", value: (node) => node.gscholar },
+  { key: "dblp", type: "string", value: (node) => node.dblp },
+];
+
+const DATA_EXPORT_FORMATS = {
+  "nodes-csv": { extension: "nodes.csv", mime: "text/csv" },
+  "edges-csv": { extension: "edges.csv", mime: "text/csv" },
+  graphml: { extension: "graphml", mime: "application/graphml+xml" },
+  gexf: { extension: "gexf", mime: "application/xml" },
+  dot: { extension: "dot", mime: "text/vnd.graphviz" },
+  newick: { extension: "nwk", mime: "text/plain" },
+  json: { extension: "json", mime: "application/json", wholeDataset: true },
+  "json-layout": { extension: "json", mime: "application/json", wholeDataset: true },
+};
+
+// The lineage on screen, or only the roster matches when `filtered` is set. Edges are kept
+// when both ends survive; a student with several advisors in the set is marked co-advised.
+const collectExportData = ({ filtered = false } = {}) => {
+  // People removed since a comparison snapshot are only shown, never exported.
+  const nodes = (filtered && state.hasActiveFilter ? state.filteredNodes : state.nodes).filter(
+    (node) => !node.isGhost
+  );
+  const ids = new Set(nodes.map((node) => node.id));
+  const keptEdges = state.edges.filter((edge) => ids.has(edge.from) && ids.has(edge.to));
+  const advisorCounts = d3.rollup(
+    keptEdges,
+    (group) => group.length,
+    (edge) => edge.to
+  );
+  const edges = keptEdges.map((edge) => ({ ...edge, coAdvised: (advisorCounts.get(edge.to) || 0) > 1 }));
+  const orderedNodes = [...nodes].sort((a, b) => a.depth - b.depth || a.name.localeCompare(b.name));
+  const nameById = new Map(nodes.map((node) => [node.id, node.name]));
+  return { nodes: orderedNodes, edges, nameById };
+};
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(formatCsvValue).join(",")).join("\r\n") + "\r\n";
+
+const buildNodesCsv = ({ nodes }) =>
+  buildCsv(
+    ["id", ...DATA_EXPORT_FIELDS.map((field) => field.key)],
+    nodes.map((node) => [node.id, ...DATA_EXPORT_FIELDS.map((field) => field.value(node))])
+  );
+
+const buildEdgesCsv = ({ edges, nameById }) =>
+  buildCsv(
+    ["source", "target", "source_name", "target_name", "co_advised", "start_year", "year"],
+    edges.map((edge) => [
+      edge.from,
+      edge.to,
+      nameById.get(edge.from),
+      nameById.get(edge.to),
+      edge.coAdvised,
+      edge.start_year,
+      edge.year,
+    ])
+  );
+
+const buildGraphml = ({ nodes, edges }) => {
+  const attributeValues = (node) =>
+    DATA_EXPORT_FIELDS.map((field) => {
+      const value = field.value(node);
+      return value === null || value === undefined || value === ""
+        ? null
+        : `      <data key="${field.key}">${escapeHtml(value)}</data>`;
+    }).filter(Boolean);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...DATA_EXPORT_FIELDS.map(
+      (field) => `  <key id="${field.key}" for="node" attr.name="${field.key}" attr.type="${field.type}"/>`
+    ),
+    '  <key id="co_advised" for="edge" attr.name="co_advised" attr.type="boolean"/>',
+    `  <graph id="${escapeHtml(state.rootId)}" edgedefault="directed">`,
+    ...nodes.flatMap((node) => [
+      `    <node id="${escapeHtml(node.id)}">`,
+      ...attributeValues(node),
+      "    </node>",
+    ]),
+    ...edges.flatMap((edge, index) => [
+      `    <edge id="e${index}" source="${escapeHtml(edge.from)}" target="${escapeHtml(edge.to)}">`,
+      `      <data key="co_advised">${edge.coAdvised}</data>`,
+      "    </edge>",
+    ]),
+    "  </graph>",
+    "</graphml>",
+    "",
+  ].join("\n");
+};
+
+const buildGexf = ({ nodes, edges }) => {
+  const gexfType = (type) => (type === "int" ? "integer" : type);
+  const attributes = DATA_EXPORT_FIELDS.filter((field) => field.key !== "name");
+  const lastModified = state.data?.generated_at?.slice(0, 10);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    lastModified ? `  <meta lastmodifieddate="${escapeHtml(lastModified)}">` : "  <meta>",
+    `    <description>${escapeHtml(`${state.rootName} PhD lineage`)}</description>`,
+    "  </meta>",
+    '  <graph defaultedgetype="directed" mode="static">',
+    '    <attributes class="node">',
+    ...attributes.map(
+      (field, index) => `      <attribute id="${index}" title="${field.key}" type="${gexfType(field.type)}"/>`
+    ),
+    "    </attributes>",
+    '    <attributes class="edge">',
+    '      <attribute id="0" title="co_advised" type="boolean"/>',
+    "    </attributes>",
+    "    <nodes>",
+    ...nodes.flatMap((node) => [
+      `      <node id="${escapeHtml(node.id)}" label="${escapeHtml(node.name)}">`,
+      "        <attvalues>",
+      ...attributes
+        .map((field, index) => {
+          const value = field.value(node);
+          return value === null || value === undefined || value === ""
+            ? null
+            : `          <attvalue for="${index}" value="${escapeHtml(value)}"/>`;
+        })
+        .filter(Boolean),
+      "        </attvalues>",
+      "      </node>",
+    ]),
+    "    </nodes>",
+    "    <edges>",
+    ...edges.flatMap((edge, index) => [
+      `      <edge id="${index}" source="${escapeHtml(edge.from)}" target="${escapeHtml(edge.to)}">`,
+      `        <attvalues><attvalue for="0" value="${edge.coAdvised}"/></attvalues>`,
+      "      </edge>",
+    ]),
+    "    </edges>",
+    "  </graph>",
+    "</gexf>",
+    "",
+  ].join("\n");
+};
+
+const quoteDot = (value) => `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+
+const buildDot = ({ nodes, edges }) => {
+  const nodeLines = nodes.map((node) => {
+    const attributes = DATA_EXPORT_FIELDS.map((field) => {
+      const value = field.value(node);
+      if (value === null || value === undefined || value === "") return null;
+      return `${field.key === "name" ? "label" : field.key}=${quoteDot(value)}`;
+    }).filter(Boolean);
+    return `  ${quoteDot(node.id)} [${attributes.join(", ")}];`;
+  });
+  const edgeLines = edges.map(
+    (edge) => `  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)}${edge.coAdvised ? " [style=dashed, co_advised=true]" : ""};`
+  );
+  return [
+    `digraph ${quoteDot(`${state.rootName} PhD lineage`)} {`,
+    "  rankdir=TB;",
+    "  node [shape=box, style=rounded];",
+    ...nodeLines,
+    ...edgeLines,
+    "}",
+    "",
+  ].join("\n");
+};
+
+const quoteNewick = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// Newick can only describe trees, so each co-advised student is placed under the first
+// advisor reached breadth-first. People whose advisors fall outside the set start their
+// own tree; the file then holds one tree per line.
+const buildNewick = ({ nodes, edges, nameById }) => {
+  const childrenByParent = d3.group(edges, (edge) => edge.from);
+  const hasParent = new Set(edges.map((edge) => edge.to));
+  const roots = nodes.filter((node) => !hasParent.has(node.id));
+  const placed = new Set();
+  const treeChildren = new Map();
+  const treeRoots = [];
+  const growTree = (rootId) => {
+    treeRoots.push(rootId);
+    placed.add(rootId);
+    const queue = [rootId];
+    for (let index = 0; index < queue.length; index += 1) {
+      const parentId = queue[index];
+      (childrenByParent.get(parentId) || []).forEach((edge) => {
+        if (placed.has(edge.to)) return;
+        placed.add(edge.to);
+        queue.push(edge.to);
+        if (!treeChildren.has(parentId)) treeChildren.set(parentId, []);
+        treeChildren.get(parentId).push(edge.to);
+      });
+    }
+  };
+  roots.forEach((root) => growTree(root.id));
+  // People reachable only through a cycle have no parentless ancestor; start a tree at each.
+  nodes.forEach((node) => {
+    if (!placed.has(node.id)) growTree(node.id);
+  });
+  const formatSubtree = (id) => {
+    const label = quoteNewick(nameById.get(id) ?? id);
+    const children = treeChildren.get(id);
+    return children ? `(${children.map(formatSubtree).join(",")})${label}` : label;
+  };
+  return treeRoots.map((rootId) => `${formatSubtree(rootId)};`).join("\n") + "\n";
+};
+
+const DATA_EXPORT_BUILDERS = {
+  "nodes-csv": buildNodesCsv,
+  "edges-csv": buildEdgesCsv,
+  graphml: buildGraphml,
+  gexf: buildGexf,
+  dot: buildDot,
+  newick: buildNewick,
+  json: () => `${JSON.stringify(state.data, null, 2)}\n`,
+  "json-layout": () => `${JSON.stringify({ ...state.data, layout: captureForceLayout() }, null, 2)}\n`,
+};
+
+const exportGraphData = (format, { filtered = false } = {}) => {
+  const builder = DATA_EXPORT_BUILDERS[format];
+  if (!builder) {
+    throw new Error(`Unknown export format "${format}".`);
+  }
+  const { extension, mime, wholeDataset } = DATA_EXPORT_FORMATS[format];
+  const data = collectExportData({ filtered });
+  const suffix = !wholeDataset && filtered && state.hasActiveFilter ? "-filtered" : "";
+  const filename = `${buildFileSlug()}-phd-tree${suffix}.${extension}`;
+  downloadBlob(new Blob([builder(data)], { type: `${mime};charset=utf-8` }), filename);
+  return wholeDataset ? null : data;
+};
+
+const handleDataExportSubmit = (event) => {
+  event.preventDefault();
+  try {
+    const exported = exportGraphData(elements.dataExportFormat.value, {
+      filtered: elements.dataExportScope.value === "filtered",
+    });
+    elements.dataExportStatus.textContent = exported
+      ? `Exported ${exported.nodes.length} people and ${exported.edges.length} links.`
+      : "";
+  } catch (error) {
+    console.error("Data export failed", error);
+    elements.dataExportStatus.textContent = `Export failed: ${error.message}`;
+  }
+};
+
+const updateDataExportScope = () => {
+  const filteredOption = elements.dataExportScope.querySelector('option[value="filtered"]');
+  filteredOption.disabled = !state.hasActiveFilter;
+  filteredOption.textContent = state.hasActiveFilter
+    ? `Current results (${state.filteredNodes.length})`
+    : "Current results (no filter active)";
+  if (!state.hasActiveFilter) {
+    elements.dataExportScope.value = "all";
+  }
+  elements.dataExportScope.disabled = Boolean(DATA_EXPORT_FORMATS[elements.dataExportFormat.value]?.wholeDataset);
+};
+
+// Errors tied to one layout only cover the graph while that layout is active.
+const renderGraphError = () => {
+  const error = graphState.error;
+  elements.graphError.hidden = !error || Boolean(error.layout && error.layout !== graphState.layout);
+};
+
+const showGraphError = (error, { layout = null } = {}) => {
+  graphState.error = { layout };
+  elements.graphError.innerHTML = `
+    <h3>Graph failed to load</h3>
+    <p>${escapeHtml(error?.message || "Unexpected error occurred while rendering the visualization.")}</p>
+    <p>Please check the browser console for details and reload the page.</p>
   `;
+  renderGraphError();
 };
 
 init();
@@ -0,0 +1,102 @@
+// Force-directed layout for the lineage graph. app.js starts this file as a Web Worker so the
+// simulation never competes with drawing and input; index.html also loads it as a plain script,
+// which lets the page run the same engine itself where workers are unavailable.
+//
+// Messages in:
+//   configure  {version, nodes, links, center}: nodes carry {id, x, y, fx, fy, radius, radial,
+//              clusterX, clusterY, clusterStrength}; links are {source, target, distance} with
+//              indexes into nodes. Nodes keep their velocity across configures by id.
+//   run        {alpha, alphaTarget, batch}: reheats the simulation. `batch` packs as many ticks
+//              into each frame as fit, for settling a fresh layout quickly.
+//   pin        {id, fx, fy}: fixes a node while it is dragged; null releases it.
+//   stop
+// Messages out:
+//   tick, end  {version, positions, alpha}: positions holds x, y pairs in configure order.
+
+const FORCE_LAYOUT_D3_URL = "https://d3js.org/d3.v7.min.js";
+// Every layout starts from the same seed, so the same lineage always settles the same way.
+const FORCE_LAYOUT_SEED = 0.4242;
+const FORCE_LAYOUT_BATCH_MS = 12;
+
+const createForceLayoutEngine = (d3, post) => {
+  const simulation = d3.forceSimulation().alphaDecay(0.024).stop();
+  let nodes = [];
+  let nodesById = new Map();
+  let version = 0;
+  let batch = false;
+  let timer = null;
+
+  const postPositions = (type) => {
+    const positions = new Float64Array(nodes.length * 2);
+    nodes.forEach((node, index) => {
+      positions[index * 2] = node.x;
+      positions[index * 2 + 1] = node.y;
+    });
+    post({ type, version, positions, alpha: simulation.alpha() }, [positions.buffer]);
+  };
+
+  const stop = () => {
+    timer?.stop();
+    timer = null;
+  };
+
+  const step = () => {
+    const deadline = performance.now() + FORCE_LAYOUT_BATCH_MS;
+    do {
+      simulation.tick();
+    } while (batch && simulation.alpha() >= simulation.alphaMin() && performance.now() < deadline);
+    if (simulation.alpha() < simulation.alphaMin()) {
+      stop();
+      postPositions("end");
+      return;
+    }
+    postPositions("tick");
+  };
+
+  const configure = (message) => {
+    const previous = nodesById;
+    nodes = message.nodes.map((spec) => Object.assign(previous.get(spec.id) ?? { vx: 0, vy: 0 }, spec));
+    nodesById = new Map(nodes.map((node) => [node.id, node]));
+    version = message.version;
+    const { x, y } = message.center;
+    simulation
+      .randomSource(d3.randomLcg(FORCE_LAYOUT_SEED))
+      .nodes(nodes)
+      .force("link", d3.forceLink(message.links).distance((link) => link.distance).strength(0.9))
+      .force("charge", d3.forceManyBody().strength(-220))
+      .force("center", d3.forceCenter(x, y))
+      .force("collide", d3.forceCollide((node) => node.radius).strength(1.2))
+      .force("radial", d3.forceRadial((node) => node.radial, x, y).strength(0.3))
+      .force("clusterX", d3.forceX((node) => node.clusterX).strength((node) => node.clusterStrength))
+      .force("clusterY", d3.forceY((node) => node.clusterY).strength((node) => node.clusterStrength));
+  };
+
+  const run = (message) => {
+    if (message.alpha !== undefined) simulation.alpha(message.alpha);
+    if (message.alphaTarget !== undefined) simulation.alphaTarget(message.alphaTarget);
+    batch = Boolean(message.batch);
+    if (!timer) timer = d3.timer(step);
+  };
+
+  const pin = ({ id, fx, fy }) => {
+    const node = nodesById.get(id);
+    if (!node) return;
+    node.fx = fx;
+    node.fy = fy;
+  };
+
+  const handlers = { configure, run, pin, stop };
+  return {
+    receive: (message) => {
+      const handler = handlers[message?.type];
+      if (!handler) throw new Error(`Unknown force layout message "${message?.type}".`);
+      handler(message);
+    },
+  };
+};
+
+if (typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+  importScripts(FORCE_LAYOUT_D3_URL);
+  const engine = createForceLayoutEngine(self.d3, (message, transfer) => self.postMessage(message, transfer));
+  self.onmessage = (event) => engine.receive(event.data);
+}
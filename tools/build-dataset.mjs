@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Builds a lineage dataset (the shape of manning_tree_latest.json) from OpenReview-style
+// profile records. No dependencies beyond Node 18+.
+//
+//   node tools/build-dataset.mjs --source mock
+//   node tools/build-dataset.mjs --source dump --input profiles.jsonl \
+//     --root "~Christopher_D_Manning1" --output manning_tree_latest.json
+//   node tools/build-dataset.mjs --source ./my-fetcher.mjs --root "~Jane_Doe1" --output tree.json
+//
+// Sources: "mock" reads the bundled fixture, "dump" reads a local export ({profiles: [...]},
+// a JSON array or JSON Lines), and any other value is imported as a plug-in module that
+// exports createSource(options). See tools/lib/sources.mjs for the source interface.
+
+import { writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { buildLineageDataset } from "./lib/lineage-builder.mjs";
+import { createDumpSource, createMockSource, loadSourceModule } from "./lib/sources.mjs";
+
+const USAGE = `Usage: node tools/build-dataset.mjs [options]
+
+  --source <mock|dump|module>  where profiles come from (default: mock)
+  --input <path>               profile dump for --source dump
+  --root <id>                  OpenReview id of the lineage root (default: the source's own root)
+  --max-depth <n>              stop after n generations below the root
+  --generated-at <timestamp>   value for generated_at (default: now)
+  --output <path>              write the dataset here instead of stdout
+  --help                       show this message`;
+
+const createSource = async (values) => {
+  switch (values.source) {
+    case "mock":
+      return createMockSource();
+    case "dump":
+      if (!values.input) throw new Error("--source dump needs --input <path>.");
+      return createDumpSource(values.input);
+    default:
+      return loadSourceModule(values.source, { input: values.input });
+  }
+};
+
+const parseMaxDepth = (value) => {
+  if (value === undefined) return Number.POSITIVE_INFINITY;
+  const depth = Number(value);
+  if (!Number.isInteger(depth) || depth < 1) {
+    throw new Error(`--max-depth must be a positive integer, got "${value}".`);
+  }
+  return depth;
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      source: { type: "string", default: "mock" },
+      input: { type: "string" },
+      root: { type: "string" },
+      "max-depth": { type: "string" },
+      "generated-at": { type: "string" },
+      output: { type: "string" },
+      help: { type: "boolean", default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const source = await createSource(values);
+  const rootId = values.root ?? source.defaultRootId;
+  if (!rootId) {
+    throw new Error("--root <id> is required for this source.");
+  }
+  const { dataset, warnings } = await buildLineageDataset({
+    source,
+    rootId,
+    maxDepth: parseMaxDepth(values["max-depth"]),
+    generatedAt: values["generated-at"] ?? new Date().toISOString(),
+    onProgress: ({ visited, discovered }) => {
+      if (visited % 50 === 0) console.error(`Visited ${visited} of ${discovered} profiles…`);
+    },
+  });
+
+  warnings.forEach((warning) => console.error(`warning: ${warning}`));
+  const json = `${JSON.stringify(dataset, null, 2)}\n`;
+  if (values.output) {
+    await writeFile(values.output, json);
+    const { total_nodes, total_edges, max_depth } = dataset.summary;
+    console.error(
+      `Wrote ${values.output}: ${total_nodes} people, ${total_edges} advisor links, ${max_depth + 1} generations.`
+    );
+  } else {
+    process.stdout.write(json);
+  }
+};
+
+main().catch((error) => {
+  console.error(`build-dataset: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,174 @@
+// Turns OpenReview-style profiles into the `{root, nodes, edges, summary, generated_at}`
+// dataset the site loads. Every count is measured on the distinct people reachable through
+// the collected advisor links, matching what the site recomputes when it re-roots the tree.
+// Links carry `start_year` and `year` (graduation) when the source knows them.
+
+const RESEARCH_SUMMARY_KEYWORDS = 3;
+
+const preferredName = (profile) => {
+  const names = profile.content?.names || [];
+  const name = names.find((entry) => entry.preferred) ?? names[0];
+  if (name?.fullname) return name.fullname;
+  const parts = [name?.first, name?.middle, name?.last].filter(Boolean);
+  if (parts.length) return parts.join(" ");
+  // "~Jane_Q._Doe1" → "Jane Q. Doe"
+  return profile.id.replace(/^~/, "").replace(/\d+$/, "").replace(/_/g, " ");
+};
+
+const toYear = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const year = Number.parseInt(value, 10);
+  return Number.isFinite(year) ? year : null;
+};
+
+// The current position: open-ended entries first, then the latest end year, then the latest start.
+const currentInstitution = (profile) => {
+  const history = (profile.content?.history || []).filter((entry) => entry?.institution);
+  if (!history.length) return null;
+  const ranked = [...history].sort((a, b) => {
+    const aEnd = toYear(a.end) ?? Number.POSITIVE_INFINITY;
+    const bEnd = toYear(b.end) ?? Number.POSITIVE_INFINITY;
+    if (aEnd !== bEnd) return bEnd - aEnd;
+    return (toYear(b.start) ?? 0) - (toYear(a.start) ?? 0);
+  });
+  const { institution } = ranked[0];
+  const affiliation = {};
+  ["domain", "name", "country", "stateProvince", "city", "department"].forEach((field) => {
+    if (institution[field]) affiliation[field] = institution[field];
+  });
+  return Object.keys(affiliation).length ? affiliation : null;
+};
+
+// Keywords in profile order, without case-insensitive repeats.
+const expertiseKeywords = (profile) => {
+  const seen = new Set();
+  const keywords = [];
+  (profile.content?.expertise || []).forEach((entry) => {
+    (entry.keywords || []).forEach((keyword) => {
+      const trimmed = String(keyword).trim();
+      const key = trimmed.toLowerCase();
+      if (!trimmed || seen.has(key)) return;
+      seen.add(key);
+      keywords.push(trimmed);
+    });
+  });
+  return keywords;
+};
+
+const toDatasetNode = (profile, metrics) => {
+  const affiliation = currentInstitution(profile);
+  const keywords = expertiseKeywords(profile);
+  const content = profile.content || {};
+  return {
+    id: profile.id,
+    name: preferredName(profile),
+    homepage: content.homepage || null,
+    gscholar: content.gscholar || null,
+    dblp: content.dblp || null,
+    affiliation,
+    expertise_keywords: keywords,
+    depth: metrics.depth,
+    direct_advisee_count: metrics.directAdviseeCount,
+    total_descendants: metrics.totalDescendants,
+    affiliation_name: affiliation?.name ?? null,
+    affiliation_domain: affiliation?.domain ?? null,
+    affiliation_country: affiliation?.country ?? null,
+    research_area_summary: keywords.length ? keywords.slice(0, RESEARCH_SUMMARY_KEYWORDS).join(", ") : null,
+  };
+};
+
+const countDistinctDescendants = (nodeId, childrenByParent) => {
+  const seen = new Set([nodeId]);
+  const stack = [nodeId];
+  while (stack.length) {
+    (childrenByParent.get(stack.pop()) || []).forEach((child) => {
+      if (seen.has(child)) return;
+      seen.add(child);
+      stack.push(child);
+    });
+  }
+  return seen.size - 1;
+};
+
+export const buildLineageDataset = async ({
+  source,
+  rootId,
+  maxDepth = Number.POSITIVE_INFINITY,
+  generatedAt = new Date().toISOString(),
+  generatedFrom = "OpenReview",
+  onProgress = () => {},
+}) => {
+  const rootProfile = await source.getProfile(rootId);
+  if (!rootProfile) {
+    throw new Error(`Root profile ${rootId} was not found in the source.`);
+  }
+
+  const warnings = [];
+  const profileById = new Map([[rootProfile.id, rootProfile]]);
+  const depthById = new Map([[rootProfile.id, 0]]);
+  const edges = [];
+  const edgeKeys = new Set();
+  const queue = [rootProfile.id];
+  for (let index = 0; index < queue.length; index += 1) {
+    const advisorId = queue[index];
+    const depth = depthById.get(advisorId);
+    if (depth >= maxDepth) continue;
+    onProgress({ visited: index + 1, discovered: queue.length, current: advisorId });
+    const advisees = source.getAdvisees
+      ? await source.getAdvisees(advisorId)
+      : (await source.getAdviseeIds(advisorId)).map((id) => ({ id }));
+    for (const { id: adviseeId, start_year: startYear, year } of advisees) {
+      const profile = profileById.get(adviseeId) ?? (await source.getProfile(adviseeId));
+      if (!profile) {
+        warnings.push(`${advisorId} lists advisee ${adviseeId}, but no profile was found; skipped.`);
+        continue;
+      }
+      profileById.set(profile.id, profile);
+      const key = `${advisorId}\u0000${profile.id}`;
+      if (profile.id === advisorId || edgeKeys.has(key)) continue;
+      edgeKeys.add(key);
+      const edge = { from: advisorId, to: profile.id };
+      if (toYear(startYear) !== null) edge.start_year = toYear(startYear);
+      if (toYear(year) !== null) edge.year = toYear(year);
+      edges.push(edge);
+      if (!depthById.has(profile.id)) {
+        depthById.set(profile.id, depth + 1);
+        queue.push(profile.id);
+      }
+    }
+  }
+
+  const childrenByParent = new Map();
+  edges.forEach((edge) => {
+    if (!childrenByParent.has(edge.from)) childrenByParent.set(edge.from, []);
+    childrenByParent.get(edge.from).push(edge.to);
+  });
+
+  const nodes = Array.from(depthById.keys())
+    .sort((a, b) => depthById.get(a) - depthById.get(b) || a.localeCompare(b))
+    .map((id) =>
+      toDatasetNode(profileById.get(id), {
+        depth: depthById.get(id),
+        directAdviseeCount: new Set(childrenByParent.get(id) || []).size,
+        totalDescendants: countDistinctDescendants(id, childrenByParent),
+      })
+    );
+
+  const depthCounts = {};
+  nodes.forEach((node) => {
+    depthCounts[node.depth] = (depthCounts[node.depth] ?? 0) + 1;
+  });
+  const summary = {
+    total_nodes: nodes.length,
+    total_edges: edges.length,
+    max_depth: Math.max(...nodes.map((node) => node.depth)),
+    depth_counts: depthCounts,
+    direct_advisees: nodes[0].direct_advisee_count,
+    generated_from: generatedFrom,
+  };
+
+  return {
+    dataset: { root: rootProfile.id, nodes, edges, summary, generated_at: generatedAt },
+    warnings,
+  };
+};
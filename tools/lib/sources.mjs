@@ -0,0 +1,128 @@
+import { readFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// A profile source answers two questions about OpenReview profile ids, both asynchronously:
+//   getProfile(id)      the OpenReview-style profile record ({id, content}), or null if unknown
+//   getAdviseeIds(id)   ids of the people advised by `id`, in any order
+// Sources may also expose `defaultRootId`, and `getAdvisees(id)`, which answers like
+// getAdviseeIds with `{id, start_year, year}` records carrying when each PhD started and
+// finished. Anything with this shape can be passed to buildLineageDataset, so a
+// network-backed fetcher only needs to implement the two required calls.
+
+export const FIXTURE_PATH = fileURLToPath(new URL("../fixtures/openreview-profiles.json", import.meta.url));
+
+const ADVISOR_RELATION = /^phd advisor$/i;
+const STUDENT_RELATION = /^phd student$/i;
+
+const relationYear = (value) => {
+  const year = Number.parseInt(value, 10);
+  return Number.isFinite(year) ? year : null;
+};
+
+// Accepts `{profiles: [...]}`, a bare array of profiles, or JSON Lines with one profile per line.
+const parseDump = (text, label) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      return Array.isArray(parsed) ? { profiles: parsed } : parsed;
+    } catch (error) {
+      if (trimmed.startsWith("[")) {
+        throw new Error(`${label} is not valid JSON (${error.message}).`);
+      }
+    }
+  }
+  const profiles = trimmed
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${label} line ${index + 1} is not valid JSON (${error.message}).`);
+      }
+    });
+  return { profiles };
+};
+
+// Indexes a list of profiles. A relation counts from either side: a student listing a
+// "PhD Advisor" or an advisor listing a "PhD Student", and its start and end years are taken
+// from whichever side records them. Usernames from every name entry are aliases of the
+// profile, so relations pointing at an old username still resolve.
+export const createProfileIndexSource = ({ profiles, root = null }) => {
+  if (!Array.isArray(profiles)) {
+    throw new Error('Profile dumps must contain a "profiles" array.');
+  }
+  const profileById = new Map();
+  const canonicalId = new Map();
+  profiles.forEach((profile, index) => {
+    if (typeof profile?.id !== "string" || !profile.id) {
+      throw new Error(`profiles[${index}] needs a string "id".`);
+    }
+    profileById.set(profile.id, profile);
+    canonicalId.set(profile.id, profile.id);
+    (profile.content?.names || []).forEach((name) => {
+      if (name.username && !canonicalId.has(name.username)) {
+        canonicalId.set(name.username, profile.id);
+      }
+    });
+  });
+
+  const adviseesByAdvisor = new Map();
+  const addAdvisee = (advisorId, studentId, relation) => {
+    const advisor = canonicalId.get(advisorId);
+    const student = canonicalId.get(studentId);
+    if (!advisor || !student || advisor === student) return;
+    if (!adviseesByAdvisor.has(advisor)) adviseesByAdvisor.set(advisor, new Map());
+    const advisees = adviseesByAdvisor.get(advisor);
+    const years = advisees.get(student) ?? { start_year: null, year: null };
+    advisees.set(student, {
+      start_year: years.start_year ?? relationYear(relation.start),
+      year: years.year ?? relationYear(relation.end),
+    });
+  };
+  profiles.forEach((profile) => {
+    (profile.content?.relations || []).forEach((relation) => {
+      if (!relation.username) return;
+      if (ADVISOR_RELATION.test(relation.relation ?? "")) addAdvisee(relation.username, profile.id, relation);
+      if (STUDENT_RELATION.test(relation.relation ?? "")) addAdvisee(profile.id, relation.username, relation);
+    });
+  });
+  const advisees = (id) => adviseesByAdvisor.get(canonicalId.get(id)) ?? new Map();
+
+  return {
+    defaultRootId: root,
+    getProfile: async (id) => profileById.get(canonicalId.get(id)) ?? null,
+    getAdviseeIds: async (id) => Array.from(advisees(id).keys()),
+    getAdvisees: async (id) => Array.from(advisees(id), ([studentId, years]) => ({ id: studentId, ...years })),
+  };
+};
+
+export const createDumpSource = async (path) => {
+  let text;
+  try {
+    text = await readFile(path, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read profile dump ${path} (${error.code ?? error.message}).`);
+  }
+  return createProfileIndexSource(parseDump(text, path));
+};
+
+// Small fictional lineage bundled with the repo, so the builder runs without network access.
+export const createMockSource = () => createDumpSource(FIXTURE_PATH);
+
+// Loads a plug-in source module. It must export `createSource(options)` (or a default
+// export with the same signature) returning a profile source, optionally asynchronously.
+export const loadSourceModule = async (modulePath, options) => {
+  const module = await import(pathToFileURL(resolve(modulePath)).href);
+  const createSource = module.createSource ?? module.default;
+  if (typeof createSource !== "function") {
+    throw new Error(`${modulePath} must export a createSource(options) function.`);
+  }
+  const source = await createSource(options);
+  if (typeof source?.getProfile !== "function" || typeof source?.getAdviseeIds !== "function") {
+    throw new Error(`${modulePath} returned a source without getProfile(id) and getAdviseeIds(id).`);
+  }
+  return source;
+};